@@ -2,10 +2,16 @@
 
 const LB_PER_KG = 2.2046226218488;
 const KG_PER_LB = 1 / LB_PER_KG;
+const WEIGHT_CHANGE_DEBOUNCE_MS = 600; // Batch quick +/- taps into one resend
+const LED_SET_COMPLETE_MS = 5000; // How long the "set complete" colors stay on
+const LED_AUTO_STOP_DELAY_MS = 1000; // Ignore brief dips at the bottom of a rep
+const DROP_FAILURE_HOLD_MS = 2000; // Rest at the bottom this long to count as failure
+const REST_ARM_MOVEMENT = 100; // Cable travel that starts an armed set
+const REST_TRACK_LIMIT_MS = 30 * 60 * 1000; // Longer breaks are not rest
 
 class VitruvianApp {
   constructor() {
-    this.device = new VitruvianDevice();
+    this.device = this.createDevice(this.loadSimulatorPreference());
     this.chartManager = new ChartManager("loadGraph");
     this.maxPos = 1000; // Shared max for both cables (keeps bars comparable)
     this.weightUnit = "kg"; // Display unit for weights (default)
@@ -15,6 +21,8 @@ class VitruvianApp {
     this.warmupTarget = 3; // Default warmup target
     this.targetReps = 0; // Target working reps
     this.workoutHistory = []; // Track completed workouts
+    this.historyGrouping = "time"; // "time" or "exercise"
+    this.historyStore = new WorkoutHistoryStore(); // Saved sets, across reloads
     this.currentWorkout = null; // Current workout info
     this.topPositionsA = []; // Rolling window of top positions for cable A
     this.bottomPositionsA = []; // Rolling window of bottom positions for cable A
@@ -32,18 +40,199 @@ class VitruvianApp {
     this.autoStopStartTime = null; // When we entered the auto-stop danger zone
     this.isJustLiftMode = false; // Flag for Just Lift mode with auto-stop
     this.lastTopCounter = undefined; // Track u16[1] for top detection
-    this.setupLogging();
+    this.activeSet = null; // { type, params } sent for the current workout
+    this.pendingWeightKg = null; // Mid-set weight waiting to be sent
+    this.weightChangeTimer = null;
+    this.dropPlan = null; // { count, percent, trigger } for a drop-set chain
+    this.dropFailureStartTime = null; // When the cables came to rest at failure
+    this.propertyDecoder = new PropertyDecoder(this.loadPropertyFields());
+    this.lastPropertyData = null; // Latest raw property frame
+    this.annotateFrames = this.loadFrameAnnotationPreference();
+    this.customProfiles = new PresetStore("vitruvian.customProfiles");
+    this.editingProfileId = null; // Custom profile open in the editor
+    this.customEchoLevels = new PresetStore("vitruvian.customEchoLevels");
+    this.editingEchoLevelId = null; // Custom Echo level open in the editor
+    this.customExercises = new PresetStore("vitruvian.exercises");
+    this.routines = new PresetStore("vitruvian.routines");
+    this.editingRoutineId = null; // Saved routine open in the editor
+    this.routineSets = []; // Sets in the routine editor
+    this.activeRoutine = null; // { name, sets, index } while a routine runs
+    this.restTimer = new RestTimer();
+    this.restSettings = this.loadRestSettings();
+    this.restNextType = null; // "program" or "echo": the set rest leads into
+    this.restArmed = false; // Waiting for cable movement to start the set
+    this.restArmBaseline = null; // Cable positions when the set was armed
+    this.ledAnimator = new LedAnimator(this.device);
+    this.ledSequences = new PresetStore("vitruvian.ledSequences");
+    this.colorSchemes = new PresetStore("vitruvian.colorSchemes");
+    this.ledPhaseSettings = this.loadLedPhaseSettings();
+    this.ledPhase = null; // Workout phase the LEDs currently show
+    this.setCompleteUntil = 0; // Show "set complete" colors until this time
+    this.ledPhaseTimer = null;
+    this.deviceSubscriptions = []; // Unsubscribe functions for this.device
+    this.bindDevice();
     this.setupChart();
     this.setupUnitControls();
+    this.setupSimulatorControls();
+    this.setupFrameAnnotationControls();
+    this.setupProfileEditor();
+    this.setupEchoLevelEditor();
+    this.setupExerciseLibrary();
+    this.setupRoutineEditor();
+    this.setupRestTimer();
+    this.setupColorControls();
+    this.setupLedControls();
     this.resetRepCountersToEmpty();
     this.updateStopButtonState();
+    this.loadWorkoutHistory();
   }
 
-  setupLogging() {
-    // Connect device logging to UI
-    this.device.onLog = (message, type) => {
-      this.addLogEntry(message, type);
-    };
+  // Subscribe to the current device's events (once per device, not per set)
+  bindDevice() {
+    this.unbindDevice();
+    this.propertyDecoder.reset();
+
+    const device = this.device;
+    this.ledAnimator.setDevice(device);
+    this.deviceSubscriptions = [
+      // Connect device logging to UI
+      device.on("log", (message, type) => this.addLogEntry(message, type)),
+
+      // Connection recovery
+      device.on("connectionlost", () => this.handleConnectionLost()),
+      device.on("reconnecting", (attempt, maxAttempts) => {
+        this.updateReconnectStatus(attempt, maxAttempts);
+      }),
+      device.on("reconnect", () => this.handleReconnected()),
+      device.on("reconnectfailed", () => this.handleReconnectFailed()),
+      device.on("protocol", (detection) => {
+        this.renderProtocolDetection(detection);
+      }),
+      device.on("disconnect", () => {
+        this.ledAnimator.stop({ restore: false });
+        this.finishRest();
+      }),
+
+      // Workout data
+      device.on("monitor", (sample) => this.updateLiveStats(sample)),
+      device.on("rep", (data) => this.handleRepNotification(data)),
+
+      // Machine state panel
+      device.on("property", (data) => {
+        this.lastPropertyData = data;
+        this.renderMachineState(this.propertyDecoder.decode(data));
+      }),
+
+      // Frame annotations and capture replay
+      device.on("write", (label, payload) => {
+        // Animation frames would flood the log several times a second
+        if (this.annotateFrames && label !== LED_FRAME_LABEL) {
+          this.logFrameAnnotation(payload);
+        }
+        if (device.isReplaying) {
+          this.handleReplayedWrite(payload);
+        }
+      }),
+    ];
+  }
+
+  unbindDevice() {
+    for (const unsubscribe of this.deviceSubscriptions) {
+      unsubscribe();
+    }
+    this.deviceSubscriptions = [];
+  }
+
+  // Create a real BLE device, or a simulated Trainer for hardware-free testing
+  createDevice(simulated) {
+    return simulated ? new SimulatedVitruvianDevice() : new VitruvianDevice();
+  }
+
+  loadSimulatorPreference() {
+    if (typeof window === "undefined" || !window.location) {
+      return false;
+    }
+    return new URLSearchParams(window.location.search).has("simulate");
+  }
+
+  setupSimulatorControls() {
+    const simulatorCheckbox = document.getElementById("simulatorCheckbox");
+    if (simulatorCheckbox) {
+      simulatorCheckbox.checked = this.device.isSimulated;
+    }
+  }
+
+  // Switch between the real device and the simulator (only while disconnected)
+  toggleSimulator() {
+    const simulatorCheckbox = document.getElementById("simulatorCheckbox");
+    const useSimulator = simulatorCheckbox.checked;
+
+    if (this.device.isConnected || this.device.isReplaying) {
+      simulatorCheckbox.checked = this.device.isSimulated;
+      alert("Disconnect before switching between the device and the simulator.");
+      return;
+    }
+
+    this.unbindDevice();
+    this.device = this.createDevice(useSimulator);
+    this.bindDevice();
+    this.addLogEntry(
+      `Simulated device: ${useSimulator ? "enabled" : "disabled"}`,
+      "info",
+    );
+  }
+
+  setupFrameAnnotationControls() {
+    const checkbox = document.getElementById("annotateFramesCheckbox");
+    if (checkbox) {
+      checkbox.checked = this.annotateFrames;
+    }
+  }
+
+  toggleFrameAnnotations() {
+    const checkbox = document.getElementById("annotateFramesCheckbox");
+    this.annotateFrames = checkbox.checked;
+    this.saveFrameAnnotationPreference();
+  }
+
+  loadFrameAnnotationPreference() {
+    if (typeof window === "undefined" || !window.localStorage) {
+      return false;
+    }
+    try {
+      return localStorage.getItem("vitruvian.annotateFrames") === "true";
+    } catch (error) {
+      // Ignore storage errors and fall back to default.
+    }
+    return false;
+  }
+
+  saveFrameAnnotationPreference() {
+    if (typeof window === "undefined" || !window.localStorage) {
+      return;
+    }
+    try {
+      localStorage.setItem(
+        "vitruvian.annotateFrames",
+        this.annotateFrames ? "true" : "false",
+      );
+    } catch (error) {
+      // Ignore storage errors (e.g., private browsing).
+    }
+  }
+
+  // Log the decoded fields of an outgoing frame under its hex dump
+  logFrameAnnotation(frame) {
+    const description = describeFrame(frame);
+    if (description.type === "unknown") {
+      this.addLogEntry("   (unrecognised frame layout)", "frame");
+      return;
+    }
+    const summary = description.summary ? `: ${description.summary}` : "";
+    this.addLogEntry(`   ${description.type} frame${summary}`, "frame");
+    for (const line of formatFrameFields(frame)) {
+      this.addLogEntry(`   ${line}`, "frame");
+    }
   }
 
   setupChart() {
@@ -148,6 +337,8 @@ class VitruvianApp {
     this.updateInputsForUnit();
     this.renderLoadDisplays(this.currentSample);
     this.updateHistoryDisplay();
+    this.renderRoutineSets();
+    this.renderRoutineProgress();
     this.applyUnitToChart();
   }
 
@@ -304,6 +495,156 @@ class VitruvianApp {
     }
   }
 
+  loadPropertyFields() {
+    if (typeof window === "undefined" || !window.localStorage) {
+      return [];
+    }
+    try {
+      const stored = localStorage.getItem("vitruvian.propertyFields");
+      const fields = stored ? JSON.parse(stored) : [];
+      return Array.isArray(fields) ? fields : [];
+    } catch (error) {
+      // Ignore storage or parse errors and start with no labels.
+    }
+    return [];
+  }
+
+  savePropertyFields() {
+    if (typeof window === "undefined" || !window.localStorage) {
+      return;
+    }
+    try {
+      localStorage.setItem(
+        "vitruvian.propertyFields",
+        JSON.stringify(this.propertyDecoder.fields),
+      );
+    } catch (error) {
+      // Ignore storage errors (e.g., private browsing).
+    }
+  }
+
+  // Render decoded property data into the machine state panel
+  renderMachineState(decoded) {
+    const summaryEl = document.getElementById("machineStateSummary");
+    const fieldList = document.getElementById("propertyFieldList");
+    const bytesEl = document.getElementById("propertyBytes");
+    if (!summaryEl || !fieldList || !bytesEl) {
+      return;
+    }
+
+    summaryEl.textContent = `${decoded.bytes.length}-byte frame • ${decoded.fields.length} labeled fields • ${decoded.unknownChanging} unlabeled bytes changing`;
+
+    if (decoded.fields.length === 0) {
+      fieldList.innerHTML = `
+        <tr><td colspan="4" style="color: #6c757d;">No labeled fields yet</td></tr>
+      `;
+    } else {
+      fieldList.innerHTML = decoded.fields
+        .map((field, index) => {
+          const value =
+            field.value === null
+              ? "-"
+              : field.type === "f32"
+                ? field.value.toFixed(3)
+                : field.value;
+          return `
+        <tr>
+          <td>${this.escapeHtml(field.name)}</td>
+          <td>0x${field.offset.toString(16).padStart(2, "0")} ${field.type}</td>
+          <td class="property-value">${value}</td>
+          <td><button class="property-remove-btn" onclick="app.removePropertyField(${index})" title="Remove label">✕</button></td>
+        </tr>
+      `;
+        })
+        .join("");
+    }
+
+    bytesEl.innerHTML = decoded.bytes
+      .map((b) => {
+        const classes = ["property-byte"];
+        if (b.labeled) {
+          classes.push("labeled");
+        } else if (b.changeCount > 0) {
+          classes.push("volatile");
+        }
+        if (b.changed) {
+          classes.push("changed");
+        }
+        const title = `0x${b.offset.toString(16).padStart(2, "0")}: changed ${b.changeCount}x`;
+        return `<span class="${classes.join(" ")}" title="${title}">${b.value.toString(16).padStart(2, "0")}</span>`;
+      })
+      .join("");
+  }
+
+  // Label a property field from the machine state form and save the mapping
+  addPropertyField() {
+    const nameInput = document.getElementById("propertyFieldName");
+    const offsetInput = document.getElementById("propertyFieldOffset");
+    const typeSelect = document.getElementById("propertyFieldType");
+    const offsetText = offsetInput.value.trim();
+
+    try {
+      this.propertyDecoder.addField({
+        name: nameInput.value,
+        offset: offsetText ? Number(offsetText) : undefined, // "0x04" or "4"
+        type: typeSelect.value,
+      });
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+
+    nameInput.value = "";
+    this.savePropertyFields();
+    this.refreshMachineState();
+  }
+
+  removePropertyField(index) {
+    const field = this.propertyDecoder.fields[index];
+    if (!field) {
+      return;
+    }
+    this.propertyDecoder.removeField(field.name);
+    this.savePropertyFields();
+    this.refreshMachineState();
+  }
+
+  refreshMachineState() {
+    if (this.lastPropertyData) {
+      this.renderMachineState(
+        this.propertyDecoder.decode(this.lastPropertyData, false),
+      );
+    }
+  }
+
+  exportPropertyFields() {
+    this.downloadTextFile(
+      `vitruvian_property_fields_${Date.now()}.json`,
+      JSON.stringify(this.propertyDecoder.fields, null, 2),
+      "application/json",
+    );
+  }
+
+  downloadTextFile(filename, content, type) {
+    const blob = new Blob([content], { type: type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
   applyUnitToChart() {
     if (!this.chartManager) {
       return;
@@ -371,6 +712,7 @@ class VitruvianApp {
     const programSection = document.getElementById("programSection");
     const echoSection = document.getElementById("echoSection");
     const colorSection = document.getElementById("colorSection");
+    const ledSection = document.getElementById("ledSection");
 
     if (connected) {
       statusDiv.textContent = "Connected";
@@ -380,6 +722,7 @@ class VitruvianApp {
       programSection.classList.remove("hidden");
       echoSection.classList.remove("hidden");
       colorSection.classList.remove("hidden");
+      ledSection.classList.remove("hidden");
     } else {
       statusDiv.textContent = "Disconnected";
       statusDiv.className = "status disconnected";
@@ -388,145 +731,1702 @@ class VitruvianApp {
       programSection.classList.add("hidden");
       echoSection.classList.add("hidden");
       colorSection.classList.add("hidden");
+      ledSection.classList.add("hidden");
     }
 
     this.updateStopButtonState();
   }
 
-  updateLiveStats(sample) {
-    // Store current sample for auto-stop checking
-    this.currentSample = sample;
-
-    // Update numeric displays
-    this.renderLoadDisplays(sample);
-    document.getElementById("ticks").textContent = sample.ticks;
+  // Show which protocol profile is in use, and warn about unknown variants
+  renderProtocolDetection(detection) {
+    const infoEl = document.getElementById("protocolInfo");
+    const warningEl = document.getElementById("protocolWarning");
+    if (!infoEl || !warningEl) {
+      return;
+    }
 
-    // Update position values
-    document.getElementById("posAValue").textContent = sample.posA;
-    document.getElementById("posBValue").textContent = sample.posB;
+    const firmware = detection.firmwareRevision
+      ? `, firmware ${detection.firmwareRevision}`
+      : "";
+    infoEl.textContent = `Protocol: ${detection.profile.name}${firmware}`;
 
-    // Auto-adjust max position (shared for both cables to keep bars comparable)
-    const currentMax = Math.max(sample.posA, sample.posB);
-    if (currentMax > this.maxPos) {
-      this.maxPos = currentMax + 100;
+    if (detection.known) {
+      warningEl.classList.add("hidden");
+      return;
     }
+    const problems = detection.problems
+      .map((problem) => `<li>${this.escapeHtml(problem)}</li>`)
+      .join("");
+    warningEl.innerHTML = `
+      <strong>Unknown machine variant</strong>
+      <ul>${problems}</ul>
+      Using the ${this.escapeHtml(detection.profile.name)} protocol anyway.
+      Workouts may not start or may be misread; please report your firmware
+      version.`;
+    warningEl.classList.remove("hidden");
+  }
 
-    // Update position bars with dynamic scaling
-    const heightA = Math.min((sample.posA / this.maxPos) * 100, 100);
-    const heightB = Math.min((sample.posB / this.maxPos) * 100, 100);
+  updateReconnectStatus(attempt, maxAttempts) {
+    const statusDiv = document.getElementById("status");
+    statusDiv.textContent = `Reconnecting (${attempt}/${maxAttempts})...`;
+    statusDiv.className = "status reconnecting";
+  }
 
-    document.getElementById("barA").style.height = heightA + "%";
-    document.getElementById("barB").style.height = heightB + "%";
+  // The link dropped on its own; keep the current set while the device retries
+  handleConnectionLost() {
+    this.updateConnectionStatus(false);
 
-    // Update range indicators
-    this.updateRangeIndicators();
+    if (this.currentWorkout) {
+      this.currentWorkout.interruptions.push({
+        disconnectedAt: new Date(),
+        resumedAt: null,
+      });
+      this.autoStopStartTime = null;
+      this.updateAutoStopUI(0);
+      this.addLogEntry(
+        `Connection lost mid-set (${this.workingReps} working reps so far), trying to reconnect...`,
+        "error",
+      );
+    }
+  }
 
-    // Check auto-stop condition for Just Lift mode
-    if (this.isJustLiftMode) {
-      this.checkAutoStop(sample);
+  async handleReconnected() {
+    this.updateConnectionStatus(true);
+
+    if (this.currentWorkout) {
+      this.showRecoveryPanel(true);
+      this.addLogEntry(
+        "Reconnected. Resume the interrupted set or save it as a partial set.",
+        "success",
+      );
+      return;
     }
 
-    // Add data to chart
-    this.chartManager.addData(sample);
+    try {
+      await this.device.sendInit();
+      await this.applyLastColorScheme();
+    } catch (error) {
+      this.addLogEntry(`Re-initialization failed: ${error.message}`, "error");
+    }
   }
 
-  // Delegate chart methods to ChartManager
-  setTimeRange(seconds) {
-    this.chartManager.setTimeRange(seconds);
+  handleReconnectFailed() {
+    this.updateConnectionStatus(false);
+
+    if (this.currentWorkout) {
+      this.addLogEntry(
+        "Could not reconnect, saving the interrupted set as partial",
+        "error",
+      );
+      this.savePartialWorkout();
+    }
   }
 
-  exportData() {
-    this.chartManager.exportCSV();
+  showRecoveryPanel(visible) {
+    const panel = document.getElementById("recoveryPanel");
+    if (panel) {
+      panel.classList.toggle("hidden", !visible);
+    }
   }
 
-  // Mobile sidebar toggle
-  toggleSidebar() {
-    const sidebar = document.getElementById("sidebar");
-    const overlay = document.getElementById("overlay");
+  // Continue the interrupted set, keeping rep counts and timing
+  async resumeWorkout() {
+    if (!this.currentWorkout || !this.activeSet) {
+      this.showRecoveryPanel(false);
+      return;
+    }
 
-    sidebar.classList.toggle("open");
-    overlay.classList.toggle("show");
-  }
+    this.showRecoveryPanel(false);
 
-  closeSidebar() {
-    const sidebar = document.getElementById("sidebar");
-    const overlay = document.getElementById("overlay");
+    const interruption =
+      this.currentWorkout.interruptions[
+        this.currentWorkout.interruptions.length - 1
+      ];
+    if (interruption) {
+      interruption.resumedAt = new Date();
+    }
 
-    sidebar.classList.remove("open");
-    overlay.classList.remove("show");
+    try {
+      await this.resendActiveSet();
+      this.addLogEntry(
+        `Set resumed: ${this.workingReps} working reps kept`,
+        "success",
+      );
+    } catch (error) {
+      console.error("Resume workout error:", error);
+      this.addLogEntry(`Failed to resume set: ${error.message}`, "error");
+      this.showRecoveryPanel(true);
+    }
   }
 
-  // Toggle Just Lift mode UI
-  toggleJustLiftMode() {
-    const justLiftCheckbox = document.getElementById("justLiftCheckbox");
-    const repsInput = document.getElementById("reps");
-    const modeLabel = document.getElementById("modeLabel");
+  // Send the active set to the machine again with only the reps that are
+  // left. The machine starts a fresh set with new counters, so ask for just
+  // the warmup reps not done yet (none once the set is loaded).
+  async resendActiveSet() {
+    const remainingReps =
+      this.targetReps > 0 ? Math.max(this.targetReps - this.workingReps, 1) : 0;
+    const remainingWarmup = Math.max(this.warmupTarget - this.warmupReps, 0);
+    this.lastRepCounter = undefined;
+    this.lastTopCounter = undefined;
+    this.updateRepCounters();
 
-    if (justLiftCheckbox.checked) {
-      // Just Lift mode enabled - disable reps input
-      repsInput.disabled = true;
-      repsInput.style.opacity = "0.5";
-      modeLabel.textContent = "Base Mode (for resistance profile):";
+    if (this.activeSet.type === "echo") {
+      await this.device.startEcho({
+        ...this.activeSet.params,
+        warmupReps: remainingWarmup,
+        targetReps: remainingReps,
+      });
     } else {
-      // Regular mode - enable reps input
-      repsInput.disabled = false;
-      repsInput.style.opacity = "1";
-      modeLabel.textContent = "Workout Mode:";
+      await this.device.startProgram({
+        ...this.activeSet.params,
+        warmupReps: remainingWarmup,
+        reps: remainingReps,
+      });
     }
   }
 
-  // Toggle stop at top setting
-  toggleStopAtTop() {
-    const checkbox = document.getElementById("stopAtTopCheckbox");
-    this.stopAtTop = checkbox.checked;
-    this.addLogEntry(
-      `Stop at top of final rep: ${this.stopAtTop ? "enabled" : "disabled"}`,
-      "info",
-    );
-  }
-
-  // Toggle Just Lift mode UI for Echo mode
-  toggleEchoJustLiftMode() {
-    const echoJustLiftCheckbox = document.getElementById(
-      "echoJustLiftCheckbox",
-    );
-    const targetRepsInput = document.getElementById("targetReps");
+  // Nudge the running program set's weight by one input step (+1 or -1).
+  // Quick taps are batched so the machine only gets the final weight.
+  adjustWeight(direction) {
+    if (!this.currentWorkout || !this.activeSet) {
+      return;
+    }
+    if (this.activeSet.type !== "program") {
+      return; // Echo has no fixed weight
+    }
 
-    if (echoJustLiftCheckbox.checked) {
-      // Just Lift mode enabled - disable reps input
-      targetRepsInput.disabled = true;
-      targetRepsInput.style.opacity = "0.5";
-    } else {
-      // Regular mode - enable reps input
-      targetRepsInput.disabled = false;
-      targetRepsInput.style.opacity = "1";
+    const stepKg = this.convertDisplayToKg(this.weightUnit === "lb" ? 1 : 0.5);
+    const currentKg =
+      this.pendingWeightKg !== null
+        ? this.pendingWeightKg
+        : this.activeSet.params.perCableKg;
+    const limit = ProtocolLimits.perCableKg;
+    const steppedKg = Math.round((currentKg + direction * stepKg) * 1000) / 1000;
+    const targetKg = Math.min(limit.max, Math.max(limit.min, steppedKg));
+    if (targetKg === currentKg) {
+      return;
     }
+
+    this.pendingWeightKg = targetKg;
+    this.updateWeightAdjustDisplay();
+
+    clearTimeout(this.weightChangeTimer);
+    this.weightChangeTimer = setTimeout(() => {
+      this.weightChangeTimer = null;
+      this.applyWeightChange();
+    }, WEIGHT_CHANGE_DEBOUNCE_MS);
   }
 
-  updateRepCounters() {
-    // Update warmup counter
-    const warmupEl = document.getElementById("warmupCounter");
-    if (warmupEl) {
-      if (this.currentWorkout) {
-        warmupEl.textContent = `${this.warmupReps}/${this.warmupTarget}`;
-      } else {
-        warmupEl.textContent = `-/3`;
-      }
+  // Resend the program with the pending weight and record the change
+  async applyWeightChange() {
+    const targetKg = this.pendingWeightKg;
+    this.pendingWeightKg = null;
+    if (targetKg === null || !this.currentWorkout || !this.activeSet) {
+      this.updateWeightAdjustDisplay();
+      return;
     }
 
-    // Update working reps counter
-    const workingEl = document.getElementById("workingCounter");
-    if (workingEl) {
-      if (this.currentWorkout) {
-        if (this.targetReps > 0) {
-          workingEl.textContent = `${this.workingReps}/${this.targetReps}`;
-        } else {
-          workingEl.textContent = `${this.workingReps}`;
+    const previousSet = this.activeSet;
+    const fromKg = previousSet.params.perCableKg;
+    if (targetKg === fromKg) {
+      this.updateWeightAdjustDisplay();
+      return;
+    }
+
+    const effectiveKg = targetKg + 10.0;
+    this.activeSet = {
+      ...previousSet,
+      params: {
+        ...previousSet.params,
+        perCableKg: targetKg,
+        perCableDisplay: this.convertKgToDisplay(targetKg),
+        effectiveKg: effectiveKg,
+        effectiveDisplay: this.convertKgToDisplay(effectiveKg),
+      },
+    };
+
+    try {
+      await this.resendActiveSet();
+    } catch (error) {
+      console.error("Weight change error:", error);
+      this.activeSet = previousSet;
+      this.addLogEntry(`Failed to change weight: ${error.message}`, "error");
+      this.updateWeightAdjustDisplay();
+      return;
+    }
+
+    this.currentWorkout.weightChanges.push({
+      at: new Date(),
+      fromKg: fromKg,
+      toKg: targetKg,
+      afterReps: this.workingReps,
+    });
+    this.currentWorkout.weightKg = targetKg;
+
+    // Carry the new weight over to the next set
+    const weightInput = document.getElementById("weight");
+    if (weightInput) {
+      weightInput.value = this.convertKgToDisplay(targetKg).toFixed(
+        this.getWeightInputDecimals(),
+      );
+    }
+
+    this.addLogEntry(
+      `Weight changed mid-set: ${this.formatWeightWithUnit(fromKg)} -> ${this.formatWeightWithUnit(targetKg)} after ${this.workingReps} working reps`,
+      "success",
+    );
+    this.updateWeightAdjustDisplay();
+  }
+
+  // Show the +/- controls only while a program set is running
+  updateWeightAdjustDisplay() {
+    const panel = document.getElementById("weightAdjustPanel");
+    const liveWeight = document.getElementById("liveWeight");
+    if (!panel || !liveWeight) {
+      return;
+    }
+
+    const active =
+      this.currentWorkout !== null &&
+      this.activeSet !== null &&
+      this.activeSet.type === "program";
+    panel.classList.toggle("hidden", !active);
+    if (!active) {
+      return;
+    }
+
+    const pending = this.pendingWeightKg !== null;
+    const weightKg = pending
+      ? this.pendingWeightKg
+      : this.activeSet.params.perCableKg;
+    liveWeight.textContent = `${this.formatWeightWithUnit(weightKg)}${pending ? " …" : ""}`;
+  }
+
+  // Drop-set settings from the program form, or null for a normal set
+  readDropPlan(isJustLift) {
+    const count = parseInt(document.getElementById("dropCount").value) || 0;
+    if (count === 0) {
+      return null;
+    }
+
+    const percent = parseFloat(document.getElementById("dropPercent").value);
+    const trigger = document.getElementById("dropTrigger").value;
+    if (count < 0 || count > 5) {
+      throw new Error("Drop sets must be between 0 and 5 drops");
+    }
+    if (!(percent >= 5 && percent <= 50)) {
+      throw new Error("Each drop must lower the weight by 5% to 50%");
+    }
+    if (isJustLift && trigger === "target") {
+      throw new Error("Just Lift has no target reps, so drop at failure");
+    }
+    return { count: count, percent: percent, trigger: trigger };
+  }
+
+  // The next drop's weight, rounded to the weight input's step
+  getDropWeightKg(fromKg, percent) {
+    const step = this.weightUnit === "lb" ? 1 : 0.5;
+    const display = this.convertKgToDisplay(fromKg * (1 - percent / 100));
+    const droppedKg = this.convertDisplayToKg(
+      Math.round(display / step) * step,
+    );
+    const roundedKg = Math.round(droppedKg * 1000) / 1000;
+    return Math.max(ProtocolLimits.perCableKg.min, roundedKg);
+  }
+
+  // Whether the chain drops again when this trigger ("target" or "failure")
+  // fires. A failure chain only drops at failure: its target reps end it.
+  hasDropsLeft(trigger) {
+    return (
+      this.dropPlan !== null &&
+      this.dropPlan.trigger === trigger &&
+      this.currentWorkout !== null &&
+      this.currentWorkout.drops.length < this.dropPlan.count
+    );
+  }
+
+  // Resting at the bottom for a moment after at least one working rep is
+  // failure: drop the weight, or finish the chain after the last drop
+  checkDropFailure(sample) {
+    if (
+      this.dropPlan.trigger !== "failure" ||
+      this.workingReps === 0 ||
+      !this.isNearBottom(sample)
+    ) {
+      this.dropFailureStartTime = null;
+      return;
+    }
+
+    if (this.dropFailureStartTime === null) {
+      this.dropFailureStartTime = Date.now();
+      return;
+    }
+    if (Date.now() - this.dropFailureStartTime < DROP_FAILURE_HOLD_MS) {
+      return;
+    }
+
+    this.dropFailureStartTime = null;
+    if (this.hasDropsLeft("failure")) {
+      this.addLogEntry(
+        `Failure after ${this.workingReps} reps, dropping the weight...`,
+        "success",
+      );
+      this.startNextDrop("failure");
+    } else {
+      this.addLogEntry(
+        `Failure after ${this.workingReps} reps on the last drop, finishing...`,
+        "success",
+      );
+      this.stopWorkout();
+    }
+  }
+
+  // Resend the program at the next drop's weight without stopping. Each
+  // drop counts its own reps from zero and starts loaded, with no warmup.
+  async startNextDrop(reason) {
+    const plan = this.dropPlan;
+    const workout = this.currentWorkout;
+    const previousSet = this.activeSet;
+    const fromKg = previousSet.params.perCableKg;
+    const toKg = this.getDropWeightKg(fromKg, plan.percent);
+    if (toKg >= fromKg) {
+      this.addLogEntry("Already at the lowest weight, ending drop set", "info");
+      await this.stopWorkout();
+      return;
+    }
+
+    const drop = {
+      at: new Date(),
+      fromKg: fromKg,
+      toKg: toKg,
+      afterReps: this.workingReps,
+      reason: reason,
+    };
+    const number = workout.drops.length + 1;
+    const previousCounts = {
+      warmupTarget: this.warmupTarget,
+      warmupReps: this.warmupReps,
+      workingReps: this.workingReps,
+    };
+
+    const effectiveKg = toKg + 10.0;
+    this.activeSet = {
+      ...previousSet,
+      params: {
+        ...previousSet.params,
+        perCableKg: toKg,
+        perCableDisplay: this.convertKgToDisplay(toKg),
+        effectiveKg: effectiveKg,
+        effectiveDisplay: this.convertKgToDisplay(effectiveKg),
+      },
+    };
+    workout.drops.push(drop);
+    this.warmupTarget = 0;
+    this.warmupReps = 0;
+    this.workingReps = 0;
+    this.autoStopStartTime = null;
+    this.pendingWeightKg = null;
+    clearTimeout(this.weightChangeTimer);
+    this.weightChangeTimer = null;
+
+    try {
+      await this.resendActiveSet();
+    } catch (error) {
+      console.error("Drop set error:", error);
+      this.addLogEntry(
+        `Failed to start drop ${number}: ${error.message}`,
+        "error",
+      );
+      workout.drops.pop();
+      if (this.currentWorkout !== workout) {
+        return;
+      }
+
+      // The previous drop may still be running: stop it, then save the chain
+      // as far as it got
+      this.activeSet = previousSet;
+      Object.assign(this, previousCounts);
+      try {
+        await this.device.sendStopCommand();
+      } catch (stopError) {
+        this.addLogEntry(
+          `Failed to stop workout: ${stopError.message}`,
+          "error",
+        );
+      }
+      if (this.currentWorkout === workout) {
+        this.completeWorkout();
+      }
+      return;
+    }
+
+    this.addLogEntry(
+      `Drop ${number}/${plan.count}: ${this.formatWeightWithUnit(fromKg)} -> ${this.formatWeightWithUnit(toKg)} after ${drop.afterReps} reps`,
+      "success",
+    );
+    this.updateWeightAdjustDisplay();
+  }
+
+  // Save the interrupted set to history as it stands
+  savePartialWorkout() {
+    this.showRecoveryPanel(false);
+    if (!this.currentWorkout) {
+      return;
+    }
+    this.currentWorkout.partial = true;
+    this.completeWorkout();
+  }
+
+  updateLiveStats(sample) {
+    // Store current sample for auto-stop checking
+    this.currentSample = sample;
+
+    // Update numeric displays
+    this.renderLoadDisplays(sample);
+    document.getElementById("ticks").textContent = sample.ticks;
+
+    // Update position values
+    document.getElementById("posAValue").textContent = sample.posA;
+    document.getElementById("posBValue").textContent = sample.posB;
+
+    // Auto-adjust max position (shared for both cables to keep bars comparable)
+    const currentMax = Math.max(sample.posA, sample.posB);
+    if (currentMax > this.maxPos) {
+      this.maxPos = currentMax + 100;
+    }
+
+    // Update position bars with dynamic scaling
+    const heightA = Math.min((sample.posA / this.maxPos) * 100, 100);
+    const heightB = Math.min((sample.posB / this.maxPos) * 100, 100);
+
+    document.getElementById("barA").style.height = heightA + "%";
+    document.getElementById("barB").style.height = heightB + "%";
+
+    // Update range indicators
+    this.updateRangeIndicators();
+    this.renderGattQueueStats();
+
+    // Drop the weight at failure during a drop-set chain
+    if (this.dropPlan && this.currentWorkout) {
+      this.checkDropFailure(sample);
+    }
+
+    // Check auto-stop condition for Just Lift mode
+    if (this.isJustLiftMode) {
+      this.checkAutoStop(sample);
+    }
+
+    // Start an armed set once a cable moves
+    if (this.restArmed) {
+      this.checkArmedMovement(sample);
+    }
+
+    // Add data to chart
+    this.chartManager.addData(sample);
+  }
+
+  renderGattQueueStats() {
+    const depthEl = document.getElementById("gattQueueDepth");
+    const detailEl = document.getElementById("gattQueueDetail");
+    if (!depthEl || !detailEl) {
+      return;
+    }
+
+    const stats = this.device.getGattQueueStats();
+    depthEl.innerHTML = `${stats.depth} <span class="stat-unit">queued</span>`;
+    detailEl.textContent = `wait ${stats.avgWaitMs.toFixed(0)} ms avg / ${stats.maxWaitMs} ms max • stop ${stats.lastControlWaitMs} ms • ${stats.dropped} dropped`;
+
+    const rateEl = document.getElementById("sampleRate");
+    const rateDetailEl = document.getElementById("sampleRateDetail");
+    const sampling = this.device.getMonitorStats();
+    if (rateEl && rateDetailEl && sampling) {
+      rateEl.innerHTML = `${sampling.sampleRateHz.toFixed(1)} <span class="stat-unit">Hz</span>`;
+      const rtt = sampling.rttMs === null ? "-" : sampling.rttMs.toFixed(0);
+      rateDetailEl.textContent = `interval ${sampling.intervalMs} ms • RTT ${rtt} ms • ${sampling.late} late • ${sampling.dropped} dropped`;
+    }
+  }
+
+  // Delegate chart methods to ChartManager
+  setTimeRange(seconds) {
+    this.chartManager.setTimeRange(seconds);
+  }
+
+  exportData() {
+    this.chartManager.exportCSV();
+  }
+
+  // Mobile sidebar toggle
+  toggleSidebar() {
+    const sidebar = document.getElementById("sidebar");
+    const overlay = document.getElementById("overlay");
+
+    sidebar.classList.toggle("open");
+    overlay.classList.toggle("show");
+  }
+
+  closeSidebar() {
+    const sidebar = document.getElementById("sidebar");
+    const overlay = document.getElementById("overlay");
+
+    sidebar.classList.remove("open");
+    overlay.classList.remove("show");
+  }
+
+  setupProfileEditor() {
+    this.renderModeOptions();
+    this.renderProfileEditorOptions();
+    this.loadProfileFromBuiltIn();
+  }
+
+  setupEchoLevelEditor() {
+    this.renderEchoLevelOptions();
+    this.renderEchoLevelEditorOptions();
+    this.loadEchoLevelFromBuiltIn();
+  }
+
+  // Replace the "custom:<id>" options of a select with the store's presets
+  renderCustomOptions(selectId, store, fallbackValue) {
+    const select = document.getElementById(selectId);
+    if (!select) {
+      return;
+    }
+    const selected = select.value;
+
+    for (const option of Array.from(select.options)) {
+      if (option.value.startsWith("custom:")) {
+        option.remove();
+      }
+    }
+    for (const preset of store.list()) {
+      const option = document.createElement("option");
+      option.value = `custom:${preset.id}`;
+      option.textContent = `${preset.name} (custom)`;
+      select.appendChild(option);
+    }
+
+    const stillExists = Array.from(select.options).some(
+      (option) => option.value === selected,
+    );
+    select.value = stillExists ? selected : fallbackValue;
+  }
+
+  // Fill a preset editor's picker: "New …" plus every saved preset
+  renderPresetEditorOptions(selectId, deleteBtnId, store, editingId, newLabel) {
+    const select = document.getElementById(selectId);
+    if (!select) {
+      return;
+    }
+    select.innerHTML =
+      `<option value="">${newLabel}</option>` +
+      store
+        .list()
+        .map(
+          (preset) =>
+            `<option value="${this.escapeHtml(preset.id)}">${this.escapeHtml(preset.name)}</option>`,
+        )
+        .join("");
+    select.value = editingId || "";
+
+    const deleteBtn = document.getElementById(deleteBtnId);
+    if (deleteBtn) {
+      deleteBtn.disabled = !editingId;
+    }
+  }
+
+  // One number input per field; fields are { key, type, limit }
+  renderPresetFields(containerId, idPrefix, fields, values) {
+    const container = document.getElementById(containerId);
+    if (!container) {
+      return;
+    }
+    container.innerHTML = fields
+      .map((field) => {
+        const step = field.type === "f32" ? "any" : "1";
+        return `
+        <div>
+          <label for="${idPrefix}${field.key}">${field.key}</label>
+          <input
+            type="number"
+            id="${idPrefix}${field.key}"
+            value="${values[field.key]}"
+            min="${field.limit.min}"
+            max="${field.limit.max}"
+            step="${step}"
+          />
+        </div>`;
+      })
+      .join("");
+  }
+
+  readPresetFields(idPrefix, fields) {
+    const values = {};
+    for (const field of fields) {
+      const input = document.getElementById(`${idPrefix}${field.key}`);
+      values[field.key] = input.value.trim() === "" ? NaN : Number(input.value);
+    }
+    return values;
+  }
+
+  // Validate and store a preset from an editor; returns it, or null on error
+  savePreset(store, validate, preset) {
+    try {
+      validate(preset.values);
+    } catch (error) {
+      alert(`${error.message}\n\nError code: ${error.code} (${error.field})`);
+      return null;
+    }
+    try {
+      return store.put(preset);
+    } catch (error) {
+      alert(error.message);
+      return null;
+    }
+  }
+
+  // Resolve a #mode value: a ProgramMode number or "custom:<id>"
+  getSelectedProgramMode(value) {
+    if (typeof value === "string" && value.startsWith("custom:")) {
+      const preset = this.customProfiles.get(value.slice("custom:".length));
+      if (!preset) {
+        throw new Error("The selected custom profile no longer exists");
+      }
+      return {
+        baseMode: preset.baseMode,
+        profile: preset.values,
+        name: preset.name,
+      };
+    }
+    const mode = parseInt(value);
+    return { baseMode: mode, profile: null, name: ProgramModeNames[mode] };
+  }
+
+  getProfileEditorFields() {
+    return ModeProfileFields.map((field) => ({
+      ...field,
+      limit: ProtocolLimits[field.type],
+    }));
+  }
+
+  // Append saved custom profiles to the workout mode select
+  renderModeOptions() {
+    this.renderCustomOptions(
+      "mode",
+      this.customProfiles,
+      String(ProgramMode.OLD_SCHOOL),
+    );
+  }
+
+  renderProfileEditorOptions() {
+    this.renderPresetEditorOptions(
+      "profileEditorSelect",
+      "deleteProfileBtn",
+      this.customProfiles,
+      this.editingProfileId,
+      "New profile…",
+    );
+  }
+
+  // One input per field of the 32-byte profile block
+  renderProfileFields(values) {
+    this.renderPresetFields(
+      "profileFields",
+      "profileField_",
+      this.getProfileEditorFields(),
+      values,
+    );
+  }
+
+  selectProfileForEditing() {
+    const select = document.getElementById("profileEditorSelect");
+    const preset = this.customProfiles.get(select.value);
+
+    if (!preset) {
+      // Start a new profile from the chosen built-in
+      this.editingProfileId = null;
+      document.getElementById("profileName").value = "";
+      this.loadProfileFromBuiltIn();
+    } else {
+      this.editingProfileId = preset.id;
+      document.getElementById("profileName").value = preset.name;
+      document.getElementById("profileBaseMode").value = String(
+        preset.baseMode,
+      );
+      this.renderProfileFields(preset.values);
+    }
+    this.renderProfileEditorOptions();
+  }
+
+  // Fill the editor with a built-in mode's profile values
+  loadProfileFromBuiltIn() {
+    const baseSelect = document.getElementById("profileBaseMode");
+    if (!baseSelect) {
+      return;
+    }
+    const baseMode = parseInt(baseSelect.value);
+    this.renderProfileFields(decodeModeProfile(getModeProfile(baseMode)));
+  }
+
+  saveCustomProfile() {
+    const preset = this.savePreset(this.customProfiles, validateModeProfile, {
+      id: this.editingProfileId,
+      name: document.getElementById("profileName").value,
+      baseMode: parseInt(document.getElementById("profileBaseMode").value),
+      values: this.readPresetFields(
+        "profileField_",
+        this.getProfileEditorFields(),
+      ),
+    });
+    if (!preset) {
+      return;
+    }
+
+    this.editingProfileId = preset.id;
+    this.renderProfileEditorOptions();
+    this.renderModeOptions();
+    this.addLogEntry(`Saved custom profile "${preset.name}"`, "success");
+  }
+
+  deleteCustomProfile() {
+    const preset = this.customProfiles.get(this.editingProfileId);
+    if (!preset) {
+      return;
+    }
+    this.customProfiles.remove(preset.id);
+    this.editingProfileId = null;
+    document.getElementById("profileName").value = "";
+    this.renderProfileEditorOptions();
+    this.renderModeOptions();
+    this.loadProfileFromBuiltIn();
+    this.addLogEntry(`Deleted custom profile "${preset.name}"`, "info");
+  }
+
+  // Resolve an #echoLevel value: a 1-based EchoLevel or "custom:<id>"
+  getSelectedEchoLevel(value) {
+    if (typeof value === "string" && value.startsWith("custom:")) {
+      const preset = this.customEchoLevels.get(value.slice("custom:".length));
+      if (!preset) {
+        throw new Error("The selected custom Echo level no longer exists");
+      }
+      return {
+        level: preset.baseLevel,
+        levelValues: preset.values,
+        name: preset.name,
+      };
+    }
+    const level = parseInt(value) - 1; // Convert to 0-indexed
+    return { level: level, levelValues: null, name: EchoLevelNames[level] };
+  }
+
+  getEchoLevelEditorFields() {
+    return EchoLevelFields.map((field) => ({
+      ...field,
+      limit: ProtocolLimits[field.key],
+    }));
+  }
+
+  // Append saved custom levels to the Echo level select
+  renderEchoLevelOptions() {
+    this.renderCustomOptions("echoLevel", this.customEchoLevels, "1");
+  }
+
+  renderEchoLevelEditorOptions() {
+    this.renderPresetEditorOptions(
+      "echoLevelEditorSelect",
+      "deleteEchoLevelBtn",
+      this.customEchoLevels,
+      this.editingEchoLevelId,
+      "New level…",
+    );
+  }
+
+  renderEchoLevelFields(values) {
+    this.renderPresetFields(
+      "echoLevelFields",
+      "echoLevelField_",
+      this.getEchoLevelEditorFields(),
+      values,
+    );
+  }
+
+  selectEchoLevelForEditing() {
+    const select = document.getElementById("echoLevelEditorSelect");
+    const preset = this.customEchoLevels.get(select.value);
+
+    if (!preset) {
+      // Start a new level from the chosen built-in
+      this.editingEchoLevelId = null;
+      document.getElementById("echoLevelName").value = "";
+      this.loadEchoLevelFromBuiltIn();
+    } else {
+      this.editingEchoLevelId = preset.id;
+      document.getElementById("echoLevelName").value = preset.name;
+      document.getElementById("echoLevelBase").value = String(preset.baseLevel);
+      this.renderEchoLevelFields(preset.values);
+    }
+    this.renderEchoLevelEditorOptions();
+  }
+
+  // Fill the editor with a built-in Echo level's values
+  loadEchoLevelFromBuiltIn() {
+    const baseSelect = document.getElementById("echoLevelBase");
+    if (!baseSelect) {
+      return;
+    }
+    const baseLevel = parseInt(baseSelect.value);
+    this.renderEchoLevelFields(getEchoParams(baseLevel, 0));
+  }
+
+  saveCustomEchoLevel() {
+    const preset = this.savePreset(this.customEchoLevels, validateEchoLevel, {
+      id: this.editingEchoLevelId,
+      name: document.getElementById("echoLevelName").value,
+      baseLevel: parseInt(document.getElementById("echoLevelBase").value),
+      values: this.readPresetFields(
+        "echoLevelField_",
+        this.getEchoLevelEditorFields(),
+      ),
+    });
+    if (!preset) {
+      return;
+    }
+
+    this.editingEchoLevelId = preset.id;
+    this.renderEchoLevelEditorOptions();
+    this.renderEchoLevelOptions();
+    this.addLogEntry(`Saved custom Echo level "${preset.name}"`, "success");
+  }
+
+  deleteCustomEchoLevel() {
+    const preset = this.customEchoLevels.get(this.editingEchoLevelId);
+    if (!preset) {
+      return;
+    }
+    this.customEchoLevels.remove(preset.id);
+    this.editingEchoLevelId = null;
+    document.getElementById("echoLevelName").value = "";
+    this.renderEchoLevelEditorOptions();
+    this.renderEchoLevelOptions();
+    this.loadEchoLevelFromBuiltIn();
+    this.addLogEntry(`Deleted custom Echo level "${preset.name}"`, "info");
+  }
+
+  setupExerciseLibrary() {
+    this.renderExerciseOptions();
+  }
+
+  // Option tags for an exercise picker: none, the built-ins, then custom
+  // ones. A tag whose custom exercise was deleted gets an option of its own.
+  getExerciseOptionsHtml(selected) {
+    const options = [["", "No exercise"]]
+      .concat(Object.entries(BuiltInExercises))
+      .concat(
+        this.customExercises
+          .list()
+          .map((preset) => [`custom:${preset.id}`, `${preset.name} (custom)`]),
+      );
+    if (selected && !options.some(([value]) => value === selected.id)) {
+      options.push([selected.id, selected.name]);
+    }
+    const selectedId = selected ? selected.id : "";
+    return options
+      .map(
+        ([value, name]) =>
+          `<option value="${this.escapeHtml(value)}"${value === selectedId ? " selected" : ""}>${this.escapeHtml(name)}</option>`,
+      )
+      .join("");
+  }
+
+  renderExerciseOptions() {
+    const select = document.getElementById("exerciseSelect");
+    if (!select) {
+      return;
+    }
+    const selected = select.value;
+    select.innerHTML = this.getExerciseOptionsHtml(null);
+    select.value = this.getExercise(selected) ? selected : "";
+    this.selectExercise();
+  }
+
+  // Only custom exercises can be deleted
+  selectExercise() {
+    const value = document.getElementById("exerciseSelect").value;
+    document.getElementById("deleteExerciseBtn").disabled =
+      !value.startsWith("custom:");
+  }
+
+  // { id, name } for a picker value; null for none or a deleted exercise
+  getExercise(value) {
+    if (!value) {
+      return null;
+    }
+    if (value.startsWith("custom:")) {
+      const preset = this.customExercises.get(value.slice("custom:".length));
+      return preset ? { id: value, name: preset.name } : null;
+    }
+    const name = BuiltInExercises[value];
+    return name ? { id: value, name: name } : null;
+  }
+
+  // The exercise the next set is tagged with
+  getSelectedExercise() {
+    return this.getExercise(document.getElementById("exerciseSelect").value);
+  }
+
+  addExercise() {
+    const input = document.getElementById("newExerciseName");
+    const name = input.value.trim().toLowerCase();
+    const names = Object.values(BuiltInExercises).concat(
+      this.customExercises.list().map((preset) => preset.name),
+    );
+    if (name && names.some((existing) => existing.toLowerCase() === name)) {
+      alert(`"${input.value.trim()}" is already in the exercise library`);
+      return;
+    }
+
+    let preset;
+    try {
+      preset = this.customExercises.put({ name: input.value, values: {} });
+    } catch (error) {
+      alert(`Cannot add exercise: ${error.message}`);
+      return;
+    }
+
+    input.value = "";
+    this.renderExerciseOptions();
+    document.getElementById("exerciseSelect").value = `custom:${preset.id}`;
+    this.selectExercise();
+    this.updateHistoryDisplay();
+    this.addLogEntry(`Added exercise "${preset.name}"`, "success");
+  }
+
+  // Sets already tagged with it keep its name
+  deleteExercise() {
+    const select = document.getElementById("exerciseSelect");
+    const exercise = this.getExercise(select.value);
+    if (!exercise || !exercise.id.startsWith("custom:")) {
+      return;
+    }
+    this.customExercises.remove(exercise.id.slice("custom:".length));
+    select.value = "";
+    this.renderExerciseOptions();
+    this.updateHistoryDisplay();
+    this.addLogEntry(`Deleted exercise "${exercise.name}"`, "info");
+  }
+
+  // Tag a completed set; saved sets are updated in IndexedDB too
+  async tagWorkoutExercise(index, value) {
+    const workout = this.workoutHistory[index];
+    if (!workout) {
+      return;
+    }
+    workout.exercise = this.getExercise(value);
+    this.updateHistoryDisplay();
+
+    if (workout.id === undefined || !this.historyStore.isAvailable()) {
+      return;
+    }
+    try {
+      await this.historyStore.update(workout);
+    } catch (error) {
+      console.error("Update workout error:", error);
+      this.addLogEntry(
+        `Failed to save the exercise tag: ${error.message}`,
+        "error",
+      );
+    }
+  }
+
+  setupRoutineEditor() {
+    this.renderRoutineEditorOptions();
+    this.renderRoutineSets();
+  }
+
+  renderRoutineEditorOptions() {
+    this.renderPresetEditorOptions(
+      "routineEditorSelect",
+      "deleteRoutineBtn",
+      this.routines,
+      this.editingRoutineId,
+      "New routine…",
+    );
+  }
+
+  selectRoutineForEditing() {
+    const select = document.getElementById("routineEditorSelect");
+    const preset = this.routines.get(select.value);
+    this.editingRoutineId = preset ? preset.id : null;
+    document.getElementById("routineName").value = preset ? preset.name : "";
+    this.routineSets = preset
+      ? preset.values.sets.map((set) => ({ ...set }))
+      : [];
+    this.renderRoutineCircuit(preset ? preset.values.circuit : null);
+    this.renderRoutineEditorOptions();
+    this.renderRoutineSets();
+  }
+
+  // Circuit inputs: rounds (1 for a plain routine) and the transition
+  renderRoutineCircuit(circuit) {
+    document.getElementById("routineRounds").value = circuit
+      ? circuit.rounds
+      : 1;
+    document.getElementById("routineTransition").value = circuit
+      ? circuit.transitionSec
+      : ROUTINE_DEFAULT_TRANSITION_SECONDS;
+  }
+
+  // { rounds, transitionSec } from the circuit inputs, or null for a plain
+  // routine (one round, rest after every set)
+  readRoutineCircuit() {
+    const roundsInput = document.getElementById("routineRounds").value;
+    const rounds = roundsInput === "" ? 1 : parseInt(roundsInput);
+    if (rounds === 1) {
+      return null;
+    }
+    return {
+      rounds: rounds,
+      transitionSec: parseInt(
+        document.getElementById("routineTransition").value,
+      ),
+    };
+  }
+
+  // "set 2/3", or "round 1/4, set 2/3" in a circuit
+  describeRoutineStep(step) {
+    const set = `set ${step.setNumber}/${step.setCount}`;
+    return step.round ? `round ${step.round}/${step.roundCount}, ${set}` : set;
+  }
+
+  // One line per set, e.g. "Row: Old School • 20.0 kg • 10 reps"
+  describeRoutineSet(set) {
+    const exercise = set.exercise ? `${set.exercise.name}: ` : "";
+    if (set.type === "echo") {
+      const reps = set.justLift ? "Just Lift" : `${set.targetReps} reps`;
+      return `${exercise}Echo ${set.levelName} • ${set.eccentricPct}% eccentric • ${reps}`;
+    }
+    const parts = [
+      `${exercise}${set.modeName}`,
+      this.formatWeightWithUnit(set.weightKg),
+      set.justLift ? "Just Lift" : `${set.reps} reps`,
+    ];
+    if (set.progressionKg !== 0) {
+      const sign = set.progressionKg > 0 ? "+" : "";
+      parts.push(`${sign}${this.formatWeightWithUnit(set.progressionKg)}/rep`);
+    }
+    if (set.drops) {
+      parts.push(`${set.drops.count} × -${set.drops.percent}% drops`);
+    }
+    return parts.join(" • ");
+  }
+
+  renderRoutineSets() {
+    const container = document.getElementById("routineSets");
+    if (!container) {
+      return;
+    }
+    if (this.routineSets.length === 0) {
+      container.innerHTML = `<div class="routine-hint">No sets yet</div>`;
+      return;
+    }
+    container.innerHTML = this.routineSets
+      .map(
+        (set, index) => `
+        <div class="routine-set">
+          <span>${index + 1}. ${this.escapeHtml(this.describeRoutineSet(set))}</span>
+          <button class="secondary" onclick="app.moveRoutineSet(${index}, -1)" title="Move up"${index === 0 ? " disabled" : ""}>↑</button>
+          <button class="secondary" onclick="app.removeRoutineSet(${index})" title="Remove this set">✕</button>
+        </div>`,
+      )
+      .join("");
+  }
+
+  // The Program form as a routine set, with weights in kg
+  readProgramFormSet() {
+    const mode = document.getElementById("mode").value;
+    const justLift = document.getElementById("justLiftCheckbox").checked;
+    return {
+      type: "program",
+      mode: mode,
+      modeName: this.getSelectedProgramMode(mode).name,
+      weightKg: this.convertDisplayToKg(
+        parseFloat(document.getElementById("weight").value),
+      ),
+      reps: justLift ? 0 : parseInt(document.getElementById("reps").value),
+      progressionKg: this.convertDisplayToKg(
+        parseFloat(document.getElementById("progression").value),
+      ),
+      warmupReps: parseInt(document.getElementById("programWarmupReps").value),
+      justLift: justLift,
+      drops: this.readDropPlan(justLift),
+      exercise: this.getSelectedExercise(),
+    };
+  }
+
+  // The Echo form as a routine set
+  readEchoFormSet() {
+    const level = document.getElementById("echoLevel").value;
+    const justLift = document.getElementById("echoJustLiftCheckbox").checked;
+    return {
+      type: "echo",
+      level: level,
+      levelName: this.getSelectedEchoLevel(level).name,
+      eccentricPct: parseInt(document.getElementById("eccentric").value),
+      targetReps: justLift
+        ? 0
+        : parseInt(document.getElementById("targetReps").value),
+      warmupReps: parseInt(document.getElementById("echoWarmupReps").value),
+      justLift: justLift,
+      exercise: this.getSelectedExercise(),
+    };
+  }
+
+  // Add the Program or Echo form, as it is now, as the routine's next set
+  addRoutineSet(type) {
+    let set;
+    try {
+      set =
+        type === "echo" ? this.readEchoFormSet() : this.readProgramFormSet();
+      validateRoutineSet(set);
+    } catch (error) {
+      alert(`Cannot add set: ${error.message}`);
+      return;
+    }
+    this.routineSets.push(set);
+    this.renderRoutineSets();
+  }
+
+  removeRoutineSet(index) {
+    this.routineSets.splice(index, 1);
+    this.renderRoutineSets();
+  }
+
+  moveRoutineSet(index, direction) {
+    const target = index + direction;
+    if (target < 0 || target >= this.routineSets.length) {
+      return;
+    }
+    const [set] = this.routineSets.splice(index, 1);
+    this.routineSets.splice(target, 0, set);
+    this.renderRoutineSets();
+  }
+
+  saveRoutine() {
+    let preset;
+    try {
+      const values = {
+        sets: this.routineSets.map((set) => ({ ...set })),
+        circuit: this.readRoutineCircuit(),
+      };
+      validateRoutine(values);
+      preset = this.routines.put({
+        id: this.editingRoutineId,
+        name: document.getElementById("routineName").value,
+        values: values,
+      });
+    } catch (error) {
+      alert(`Cannot save routine: ${error.message}`);
+      return;
+    }
+
+    this.editingRoutineId = preset.id;
+    this.renderRoutineEditorOptions();
+    this.addLogEntry(`Saved routine "${preset.name}"`, "success");
+  }
+
+  deleteRoutine() {
+    const preset = this.routines.get(this.editingRoutineId);
+    if (!preset) {
+      return;
+    }
+    this.routines.remove(preset.id);
+    this.editingRoutineId = null;
+    this.routineSets = [];
+    document.getElementById("routineName").value = "";
+    this.renderRoutineCircuit(null);
+    this.renderRoutineEditorOptions();
+    this.renderRoutineSets();
+    this.addLogEntry(`Deleted routine "${preset.name}"`, "info");
+  }
+
+  // Select an option by value; a missing option (e.g. a deleted custom
+  // profile) would otherwise leave the select on something else silently
+  setSelectValue(selectId, value, label) {
+    const select = document.getElementById(selectId);
+    select.value = value;
+    if (select.value !== value) {
+      throw new Error(`"${label}" is no longer available`);
+    }
+  }
+
+  // Fill a routine set's form with its inputs, ready to start
+  loadRoutineSet(set) {
+    const exercise = set.exercise || { id: "", name: "" };
+    this.setSelectValue("exerciseSelect", exercise.id, exercise.name);
+    this.selectExercise();
+
+    if (set.type === "echo") {
+      this.setSelectValue("echoLevel", set.level, set.levelName);
+      document.getElementById("eccentric").value = set.eccentricPct;
+      if (!set.justLift) {
+        document.getElementById("targetReps").value = set.targetReps;
+      }
+      document.getElementById("echoWarmupReps").value = set.warmupReps;
+      document.getElementById("echoJustLiftCheckbox").checked = set.justLift;
+      this.toggleEchoJustLiftMode();
+      return;
+    }
+
+    this.setSelectValue("mode", set.mode, set.modeName);
+    document.getElementById("weight").value = this.convertKgToDisplay(
+      set.weightKg,
+    ).toFixed(this.getWeightInputDecimals());
+    document.getElementById("progression").value = this.convertKgToDisplay(
+      set.progressionKg,
+    ).toFixed(this.getProgressionInputDecimals());
+    if (!set.justLift) {
+      document.getElementById("reps").value = set.reps;
+    }
+    document.getElementById("programWarmupReps").value = set.warmupReps;
+    document.getElementById("justLiftCheckbox").checked = set.justLift;
+    this.toggleJustLiftMode();
+
+    const drops = set.drops;
+    document.getElementById("dropCount").value = drops ? drops.count : 0;
+    if (drops) {
+      document.getElementById("dropPercent").value = drops.percent;
+      document.getElementById("dropTrigger").value = drops.trigger;
+    }
+  }
+
+  // Run the routine in the editor (saved or not) from its first set
+  async startRoutine() {
+    if (this.currentWorkout) {
+      alert("Finish the current set before starting a routine.");
+      return;
+    }
+    const sets = this.routineSets.map((set) => ({ ...set }));
+    let circuit;
+    try {
+      circuit = this.readRoutineCircuit();
+      validateRoutine({ sets: sets, circuit: circuit });
+      this.loadRoutineSet(sets[0]);
+    } catch (error) {
+      alert(`Cannot start routine: ${error.message}`);
+      return;
+    }
+
+    const name =
+      document.getElementById("routineName").value.trim() || "Routine";
+    this.activeRoutine = {
+      name: name,
+      sets: sets,
+      index: 0,
+      circuit: circuit,
+      round: 1,
+      startedAt: Date.now(), // Tells this run's rounds from other runs'
+    };
+    this.addLogEntry(
+      circuit
+        ? `Starting circuit "${name}" (${circuit.rounds} rounds of ${sets.length} sets)`
+        : `Starting routine "${name}" (${sets.length} sets)`,
+      "info",
+    );
+    this.renderRoutineProgress();
+    await this.startRoutineSet();
+  }
+
+  // Start the routine's current set from its form: as loaded, or as adjusted
+  // since. Any set started while a routine runs counts as its current set.
+  async startRoutineSet() {
+    if (!this.activeRoutine) {
+      return;
+    }
+    if (this.currentWorkout) {
+      alert("Finish the current set first.");
+      return;
+    }
+    const set = this.activeRoutine.sets[this.activeRoutine.index];
+    if (set.type === "echo") {
+      await this.startEcho();
+    } else {
+      await this.startProgram();
+    }
+  }
+
+  // Where the running routine is, for the workout record. Circuit sets also
+  // carry their round, and runId to group the round's sets in history.
+  getRoutineStep() {
+    const routine = this.activeRoutine;
+    if (!routine) {
+      return null;
+    }
+    const step = {
+      name: routine.name,
+      setNumber: routine.index + 1,
+      setCount: routine.sets.length,
+    };
+    if (routine.circuit) {
+      step.round = routine.round;
+      step.roundCount = routine.circuit.rounds;
+      step.runId = routine.startedAt;
+    }
+    return step;
+  }
+
+  // After a routine set completes: load the next set into its form, start a
+  // circuit's next round, or finish the routine after the last set
+  advanceRoutine() {
+    const routine = this.activeRoutine;
+    if (!routine) {
+      return;
+    }
+
+    routine.index++;
+    if (routine.index >= routine.sets.length) {
+      const rounds = routine.circuit ? routine.circuit.rounds : 1;
+      if (routine.round >= rounds) {
+        this.activeRoutine = null;
+        this.addLogEntry(`Routine "${routine.name}" complete`, "success");
+        this.renderRoutineProgress();
+        return;
+      }
+      this.addLogEntry(
+        `Round ${routine.round}/${rounds} of "${routine.name}" complete`,
+        "success",
+      );
+      routine.round++;
+      routine.index = 0;
+    }
+
+    const next = routine.sets[routine.index];
+    try {
+      this.loadRoutineSet(next);
+      this.addLogEntry(
+        `Next: ${this.describeRoutineStep(this.getRoutineStep())}, ${this.describeRoutineSet(next)}`,
+        "info",
+      );
+    } catch (error) {
+      this.addLogEntry(
+        `Could not load set ${routine.index + 1}: ${error.message}`,
+        "error",
+      );
+    }
+    this.renderRoutineProgress();
+  }
+
+  endRoutine() {
+    if (!this.activeRoutine) {
+      return;
+    }
+    this.addLogEntry(`Routine "${this.activeRoutine.name}" ended`, "info");
+    this.activeRoutine = null;
+    this.renderRoutineProgress();
+  }
+
+  renderRoutineProgress() {
+    const panel = document.getElementById("routineProgress");
+    if (!panel) {
+      return;
+    }
+    const routine = this.activeRoutine;
+    panel.classList.toggle("hidden", !routine);
+    if (!routine) {
+      return;
+    }
+    const set = routine.sets[routine.index];
+    document.getElementById("routineProgressText").textContent =
+      `${routine.name}: ${this.describeRoutineStep(this.getRoutineStep())}, ${this.describeRoutineSet(set)}`;
+  }
+
+  setupRestTimer() {
+    document.getElementById("restSeconds").value = this.restSettings.seconds;
+    document.getElementById("restAction").value = this.restSettings.action;
+    this.restTimer.on("tick", (remainingMs, elapsedMs) =>
+      this.renderRestTimer(remainingMs, elapsedMs),
+    );
+    this.restTimer.on("end", () => this.handleRestEnd());
+  }
+
+  // Rest settings: { seconds, action }, where action is what happens when
+  // rest ends: "none", "auto" (start the next set) or "movement" (start it
+  // when a cable moves). 0 seconds turns the timer off.
+  loadRestSettings() {
+    const settings = { seconds: 90, action: "none" };
+    if (typeof window === "undefined" || !window.localStorage) {
+      return settings;
+    }
+    try {
+      const stored = JSON.parse(
+        localStorage.getItem("vitruvian.restTimer") || "null",
+      );
+      if (stored) {
+        if (
+          Number.isInteger(stored.seconds) &&
+          stored.seconds >= 0 &&
+          stored.seconds <= REST_MAX_SECONDS
+        ) {
+          settings.seconds = stored.seconds;
+        }
+        if (["none", "auto", "movement"].includes(stored.action)) {
+          settings.action = stored.action;
+        }
+      }
+    } catch (error) {
+      // Ignore storage errors and fall back to defaults.
+    }
+    return settings;
+  }
+
+  saveRestSettings() {
+    if (typeof window === "undefined" || !window.localStorage) {
+      return;
+    }
+    try {
+      localStorage.setItem(
+        "vitruvian.restTimer",
+        JSON.stringify(this.restSettings),
+      );
+    } catch (error) {
+      // Ignore storage errors (e.g., private browsing).
+    }
+  }
+
+  updateRestSettings() {
+    const secondsInput = document.getElementById("restSeconds");
+    const seconds = Number(secondsInput.value);
+    if (
+      !Number.isInteger(seconds) ||
+      seconds < 0 ||
+      seconds > REST_MAX_SECONDS
+    ) {
+      alert(
+        `Rest must be a whole number of seconds from 0 to ${REST_MAX_SECONDS}`,
+      );
+      secondsInput.value = this.restSettings.seconds;
+      return;
+    }
+    this.restSettings = {
+      seconds: seconds,
+      action: document.getElementById("restAction").value,
+    };
+    this.saveRestSettings();
+  }
+
+  formatRestTime(ms) {
+    const totalSeconds = Math.round(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, "0");
+    return `${minutes}:${seconds}`;
+  }
+
+  // Start resting after a set. nextType ("program" or "echo") is the form
+  // the next set starts from when no routine is running. A 0 s rest ends
+  // right away, so the next set still starts (or is armed) by itself.
+  startRest(nextType, seconds = this.restSettings.seconds, label = "Rest") {
+    if (seconds === 0 && this.restSettings.action === "none") {
+      return;
+    }
+    this.restNextType = nextType;
+    this.restArmed = false;
+    this.restArmBaseline = null;
+    document.getElementById("restLabel").textContent = label;
+    document.getElementById("restPanel").classList.remove("hidden");
+    if (seconds > 0) {
+      this.addLogEntry(
+        `${label}: ${this.formatRestTime(seconds * 1000)}`,
+        "info",
+      );
+    }
+    this.restTimer.start(seconds);
+  }
+
+  extendRest(seconds) {
+    this.restTimer.extend(seconds);
+  }
+
+  // End the planned rest now; the rest-end action still runs
+  endRest() {
+    this.restTimer.end();
+  }
+
+  // Stop resting. Returns { plannedSec, actualSec } for the record of the set
+  // that starts now, or null if no rest was running; on a disconnect or a
+  // rest that ran too long, callers drop it.
+  finishRest() {
+    const rest = this.restTimer.stop();
+    if (this.restArmed) {
+      this.disarmRest();
+    }
+    document.getElementById("restPanel").classList.add("hidden");
+    if (!rest) {
+      return null;
+    }
+    return {
+      plannedSec: Math.round(rest.plannedMs / 1000),
+      actualSec: Math.round(rest.actualMs / 1000),
+    };
+  }
+
+  // Stop the polling an armed set watched the cables with. The set starts
+  // its own, so its sampling stats leave out the rest.
+  disarmRest() {
+    this.restArmed = false;
+    this.device.stopMonitorPolling();
+  }
+
+  renderRestTimer(remainingMs, elapsedMs) {
+    if (elapsedMs > REST_TRACK_LIMIT_MS) {
+      this.addLogEntry("Rest timer stopped after 30 minutes", "info");
+      this.finishRest();
+      return;
+    }
+
+    const countdown = document.getElementById("restCountdown");
+    const isOver = remainingMs === 0;
+    countdown.textContent = isOver
+      ? `+${this.formatRestTime(elapsedMs - this.restTimer.countdownMs)}`
+      : this.formatRestTime(remainingMs);
+    countdown.classList.toggle("over", isOver);
+
+    const action = this.restSettings.action;
+    let status = "";
+    if (this.restArmed) {
+      status = "Pull a cable to start the next set";
+    } else if (isOver) {
+      status = "Rest over";
+    } else if (action === "auto") {
+      status = "The next set starts automatically";
+    } else if (action === "movement") {
+      status = "Then pull a cable to start the next set";
+    }
+    document.getElementById("restStatus").textContent = status;
+  }
+
+  // Planned rest is over: start the next set, arm it, or just say so
+  handleRestEnd() {
+    const action = this.restSettings.action;
+    const canStart =
+      this.device.isConnected &&
+      !this.device.isReplaying &&
+      !this.currentWorkout;
+
+    if (action === "auto" && canStart) {
+      this.addLogEntry("Rest over, starting the next set", "info");
+      this.startNextSet();
+    } else if (action === "movement" && canStart) {
+      // Monitor polling stopped with the last set; run it while armed
+      this.restArmed = true;
+      this.restArmBaseline = null;
+      this.device.startMonitorPolling();
+      this.addLogEntry("Rest over: pull a cable to start the next set", "info");
+      this.restTimer.tick();
+    } else {
+      this.addLogEntry("Rest over", "info");
+    }
+  }
+
+  checkArmedMovement(sample) {
+    if (!this.restArmBaseline) {
+      this.restArmBaseline = { posA: sample.posA, posB: sample.posB };
+      return;
+    }
+    const moved = Math.max(
+      Math.abs(sample.posA - this.restArmBaseline.posA),
+      Math.abs(sample.posB - this.restArmBaseline.posB),
+    );
+    if (moved >= REST_ARM_MOVEMENT) {
+      this.disarmRest();
+      this.addLogEntry(
+        "Cable movement detected, starting the next set",
+        "info",
+      );
+      this.startNextSet();
+    }
+  }
+
+  // The routine's next set, or the form the last set was started from
+  async startNextSet() {
+    if (this.activeRoutine) {
+      await this.startRoutineSet();
+    } else if (this.restNextType === "echo") {
+      await this.startEcho();
+    } else {
+      await this.startProgram();
+    }
+  }
+
+  // Toggle Just Lift mode UI
+  toggleJustLiftMode() {
+    const justLiftCheckbox = document.getElementById("justLiftCheckbox");
+    const repsInput = document.getElementById("reps");
+    const modeLabel = document.getElementById("modeLabel");
+
+    if (justLiftCheckbox.checked) {
+      // Just Lift mode enabled - disable reps input
+      repsInput.disabled = true;
+      repsInput.style.opacity = "0.5";
+      modeLabel.textContent = "Base Mode (for resistance profile):";
+    } else {
+      // Regular mode - enable reps input
+      repsInput.disabled = false;
+      repsInput.style.opacity = "1";
+      modeLabel.textContent = "Workout Mode:";
+    }
+  }
+
+  // Toggle stop at top setting
+  toggleStopAtTop() {
+    const checkbox = document.getElementById("stopAtTopCheckbox");
+    this.stopAtTop = checkbox.checked;
+    this.addLogEntry(
+      `Stop at top of final rep: ${this.stopAtTop ? "enabled" : "disabled"}`,
+      "info",
+    );
+  }
+
+  // Toggle Just Lift mode UI for Echo mode
+  toggleEchoJustLiftMode() {
+    const echoJustLiftCheckbox = document.getElementById(
+      "echoJustLiftCheckbox",
+    );
+    const targetRepsInput = document.getElementById("targetReps");
+
+    if (echoJustLiftCheckbox.checked) {
+      // Just Lift mode enabled - disable reps input
+      targetRepsInput.disabled = true;
+      targetRepsInput.style.opacity = "0.5";
+    } else {
+      // Regular mode - enable reps input
+      targetRepsInput.disabled = false;
+      targetRepsInput.style.opacity = "1";
+    }
+  }
+
+  updateRepCounters() {
+    // Update warmup counter
+    const warmupEl = document.getElementById("warmupCounter");
+    if (warmupEl) {
+      if (this.currentWorkout) {
+        warmupEl.textContent = `${this.warmupReps}/${this.warmupTarget}`;
+      } else {
+        warmupEl.textContent = `-/${this.warmupTarget}`;
+      }
+    }
+
+    // Update working reps counter
+    const workingEl = document.getElementById("workingCounter");
+    if (workingEl) {
+      if (this.currentWorkout) {
+        if (this.targetReps > 0) {
+          workingEl.textContent = `${this.workingReps}/${this.targetReps}`;
+        } else {
+          workingEl.textContent = `${this.workingReps}`;
         }
       } else {
         workingEl.textContent = `-/-`;
       }
     }
+
+    this.updateLedPhase();
   }
 
   updateRangeIndicators() {
@@ -660,6 +2560,14 @@ class VitruvianApp {
     this.autoStopStartTime = null;
     this.isJustLiftMode = false;
     this.lastTopCounter = undefined;
+    this.activeSet = null;
+    this.pendingWeightKg = null;
+    clearTimeout(this.weightChangeTimer);
+    this.weightChangeTimer = null;
+    this.dropPlan = null;
+    this.dropFailureStartTime = null;
+    this.showRecoveryPanel(false);
+    this.updateWeightAdjustDisplay();
     this.updateRepCounters();
 
     // Hide auto-stop timer
@@ -671,19 +2579,86 @@ class VitruvianApp {
     this.updateStopButtonState();
   }
 
-  addToWorkoutHistory(workout) {
+  addToWorkoutHistory(workout, samples = []) {
     this.workoutHistory.unshift(workout); // Add to beginning
     this.updateHistoryDisplay();
+
+    // Replayed captures are for debugging, not the training log
+    if (!this.device.isReplaying) {
+      this.saveWorkout(workout, samples);
+    }
+  }
+
+  // Keep a completed set and its samples in IndexedDB
+  async saveWorkout(workout, samples) {
+    if (!this.historyStore.isAvailable()) {
+      return;
+    }
+    try {
+      workout.id = await this.historyStore.add(workout, samples);
+    } catch (error) {
+      console.error("Save workout error:", error);
+      this.addLogEntry(
+        `Failed to save workout to history: ${error.message}`,
+        "error",
+      );
+    }
+  }
+
+  // Show the sets saved in earlier sessions below any completed since load
+  async loadWorkoutHistory() {
+    if (!this.historyStore.isAvailable()) {
+      this.addLogEntry(
+        "IndexedDB is not available: workout history will not be saved",
+        "error",
+      );
+      return;
+    }
+    try {
+      const saved = await this.historyStore.list();
+      const shownIds = new Set(this.workoutHistory.map((w) => w.id));
+      this.workoutHistory = this.workoutHistory.concat(
+        saved.filter((workout) => !shownIds.has(workout.id)),
+      );
+      this.updateHistoryDisplay();
+      if (saved.length > 0) {
+        this.addLogEntry(
+          `Loaded ${saved.length} saved workout${saved.length === 1 ? "" : "s"}`,
+          "info",
+        );
+      }
+    } catch (error) {
+      console.error("Load history error:", error);
+      this.addLogEntry(
+        `Failed to load workout history: ${error.message}`,
+        "error",
+      );
+    }
   }
 
-  viewWorkoutOnGraph(index) {
+  // Saved sets are drawn from their stored samples; sets not saved yet fall
+  // back to the live chart history
+  async viewWorkoutOnGraph(index) {
     if (index < 0 || index >= this.workoutHistory.length) {
       this.addLogEntry("Invalid workout index", "error");
       return;
     }
 
     const workout = this.workoutHistory[index];
-    this.chartManager.viewWorkout(workout);
+    if (workout.id === undefined) {
+      this.chartManager.viewWorkout(workout);
+      return;
+    }
+    try {
+      const samples = await this.historyStore.getSamples(workout.id);
+      this.chartManager.viewWorkout(workout, samples);
+    } catch (error) {
+      console.error("Load samples error:", error);
+      this.addLogEntry(
+        `Failed to load workout samples: ${error.message}`,
+        "error",
+      );
+    }
   }
 
   updateHistoryDisplay() {
@@ -699,25 +2674,126 @@ class VitruvianApp {
       return;
     }
 
-    historyList.innerHTML = this.workoutHistory
-      .map((workout, index) => {
-        const weightStr =
-          workout.weightKg > 0
-            ? `${this.formatWeightWithUnit(workout.weightKg)}`
-            : "Adaptive";
-        const hasTimingData = workout.startTime && workout.endTime;
-        const viewButtonHtml = hasTimingData
-          ? `<button class="view-graph-btn" onclick="app.viewWorkoutOnGraph(${index})" title="View this workout on the graph">📊 View Graph</button>`
-          : "";
-        return `
-      <div class="history-item">
-        <div class="history-item-title">${workout.mode}</div>
-        <div class="history-item-details">${weightStr} • ${workout.reps} reps</div>
-        ${viewButtonHtml}
+    if (this.historyGrouping === "exercise") {
+      historyList.innerHTML = groupWorkoutsByExercise(this.workoutHistory)
+        .map((group) => this.renderExerciseGroup(group))
+        .join("");
+      return;
+    }
+
+    // Sets of one circuit round are shown together, as one block
+    const blocks = [];
+    this.workoutHistory.forEach((workout, index) => {
+      const key = this.getCircuitRoundKey(workout);
+      const last = blocks[blocks.length - 1];
+      if (key && last && last.key === key) {
+        last.indexes.push(index);
+      } else {
+        blocks.push({ key: key, indexes: [index] });
+      }
+    });
+
+    historyList.innerHTML = blocks
+      .map((block) =>
+        block.key
+          ? this.renderCircuitRound(block.indexes)
+          : this.renderHistoryItem(block.indexes[0]),
+      )
+      .join("");
+  }
+
+  setHistoryGrouping(grouping) {
+    this.historyGrouping = grouping;
+    this.updateHistoryDisplay();
+  }
+
+  // One exercise: totals, then its sets (newest first)
+  renderExerciseGroup(group) {
+    const workouts = group.indexes.map((index) => this.workoutHistory[index]);
+    const reps = workouts.reduce((sum, workout) => sum + workout.reps, 0);
+    const bestKg = Math.max(...workouts.map((workout) => workout.weightKg));
+    const bestStr =
+      bestKg > 0 ? ` • best ${this.formatWeightWithUnit(bestKg)}` : "";
+    const title = group.exercise
+      ? this.escapeHtml(group.exercise.name)
+      : "Untagged";
+    return `
+      <div class="history-group">
+        <div class="history-group-title">${title}</div>
+        <div class="history-item-details">${workouts.length} set${workouts.length === 1 ? "" : "s"} • ${reps} reps${bestStr}</div>
+        ${group.indexes.map((index) => this.renderHistoryItem(index)).join("")}
       </div>
     `;
-      })
-      .join("");
+  }
+
+  // Groups a circuit round's sets in history; null for other sets
+  getCircuitRoundKey(workout) {
+    const step = workout.routine;
+    return step && step.round ? `${step.runId}:${step.round}` : null;
+  }
+
+  // One circuit round: a summary, then its sets (newest first, like the rest
+  // of the list)
+  renderCircuitRound(indexes) {
+    const workouts = indexes.map((index) => this.workoutHistory[index]);
+    const step = workouts[0].routine;
+    const reps = workouts.reduce((sum, workout) => sum + workout.reps, 0);
+    return `
+      <div class="history-group">
+        <div class="history-group-title">${this.escapeHtml(step.name)} • round ${step.round}/${step.roundCount}</div>
+        <div class="history-item-details">${workouts.length} set${workouts.length === 1 ? "" : "s"} • ${reps} reps</div>
+        ${indexes.map((index) => this.renderHistoryItem(index)).join("")}
+      </div>
+    `;
+  }
+
+  renderHistoryItem(index) {
+    const workout = this.workoutHistory[index];
+    const weightStr =
+      workout.weightKg > 0
+        ? `${this.formatWeightWithUnit(workout.weightKg)}`
+        : "Adaptive";
+    const hasTimingData = workout.startTime && workout.endTime;
+    const viewButtonHtml = hasTimingData
+      ? `<button class="view-graph-btn" onclick="app.viewWorkoutOnGraph(${index})" title="View this workout on the graph">📊 View Graph</button>`
+      : "";
+    const partialTag = workout.partial ? " (partial)" : "";
+    const exerciseStr = workout.exercise
+      ? `${this.escapeHtml(workout.exercise.name)} • `
+      : "";
+    const drops = workout.drops || [];
+    const dropTag =
+      drops.length > 0
+        ? ` (drop set, ${drops.length} drop${drops.length === 1 ? "" : "s"})`
+        : "";
+    const repsStr =
+      drops.length > 0
+        ? `${workout.repBreakdown.join(" + ")} reps`
+        : `${workout.reps} reps`;
+    const changeCount = (workout.weightChanges || []).length;
+    const adjustedStr =
+      changeCount > 0
+        ? ` (${changeCount} mid-set change${changeCount === 1 ? "" : "s"})`
+        : "";
+    const samplingStr = workout.sampling
+      ? ` • ${workout.sampling.sampleRateHz.toFixed(1)} Hz`
+      : "";
+    const dateStr = workout.timestamp ? workout.timestamp.toLocaleString() : "";
+    const routineStr = workout.routine
+      ? ` • ${this.escapeHtml(workout.routine.name)}, ${this.describeRoutineStep(workout.routine)}`
+      : "";
+    const restStr = workout.rest
+      ? ` • rested ${this.formatRestTime(workout.rest.actualSec * 1000)} (of ${this.formatRestTime(workout.rest.plannedSec * 1000)})`
+      : "";
+    return `
+  <div class="history-item">
+    <div class="history-item-title">${exerciseStr}${this.escapeHtml(workout.mode)}${partialTag}${dropTag}</div>
+    <div class="history-item-date">${dateStr}${routineStr}${restStr}</div>
+    <div class="history-item-details">${weightStr}${adjustedStr} • ${repsStr}${samplingStr}</div>
+    <select class="history-exercise" onchange="app.tagWorkoutExercise(${index}, this.value)" title="Tag this set with an exercise">${this.getExerciseOptionsHtml(workout.exercise)}</select>
+    ${viewButtonHtml}
+  </div>
+`;
   }
 
   completeWorkout() {
@@ -730,20 +2806,86 @@ class VitruvianApp {
       const endTime = new Date();
       this.currentWorkout.endTime = endTime;
 
+      const sampling = this.device.getMonitorStats();
+      if (sampling) {
+        this.addLogEntry(
+          `Sampled at ${sampling.sampleRateHz.toFixed(1)} Hz (${sampling.intervalMs}ms interval, ${sampling.late} late, ${sampling.dropped} dropped)`,
+          "info",
+        );
+      }
+
+      // A drop-set chain is one entry; each drop counted its own reps
+      const drops = this.currentWorkout.drops || [];
+      const repBreakdown = drops
+        .map((drop) => drop.afterReps)
+        .concat(this.workingReps);
+
       // Add to history
-      this.addToWorkoutHistory({
-        mode: this.currentWorkout.mode,
-        weightKg: this.currentWorkout.weightKg,
-        reps: this.workingReps, // Actual reps completed
-        timestamp: endTime,
-        startTime: this.currentWorkout.startTime,
-        warmupEndTime: this.currentWorkout.warmupEndTime,
-        endTime: endTime,
-      });
+      const samples = this.chartManager.getSamplesBetween(
+        this.currentWorkout.startTime,
+        endTime,
+      );
+      this.addToWorkoutHistory(
+        {
+          mode: this.currentWorkout.mode,
+          weightKg: this.currentWorkout.weightKg,
+          reps: repBreakdown.reduce((sum, reps) => sum + reps, 0), // Actual reps completed
+          timestamp: endTime,
+          startTime: this.currentWorkout.startTime,
+          warmupEndTime: this.currentWorkout.warmupEndTime,
+          endTime: endTime,
+          partial: this.currentWorkout.partial,
+          interruptions: this.currentWorkout.interruptions,
+          weightChanges: this.currentWorkout.weightChanges,
+          drops: drops,
+          repBreakdown: repBreakdown,
+          repEvents: this.currentWorkout.repEvents,
+          routine: this.currentWorkout.routine || null,
+          rest: this.currentWorkout.rest || null,
+          exercise: this.currentWorkout.exercise || null,
+          sampling: sampling
+            ? {
+                sampleRateHz: sampling.sampleRateHz,
+                intervalMs: sampling.intervalMs,
+                samples: sampling.samples,
+                late: sampling.late,
+                dropped: sampling.dropped,
+              }
+            : null,
+        },
+        samples,
+      );
+
+      // Show the "set complete" colors for a while, then go back to idle
+      this.setCompleteUntil = Date.now() + LED_SET_COMPLETE_MS;
+      clearTimeout(this.ledPhaseTimer);
+      this.ledPhaseTimer = setTimeout(
+        () => this.updateLedPhase(),
+        LED_SET_COMPLETE_MS,
+      );
 
       // Reset to empty state
+      const routineStep = this.currentWorkout.routine;
+      const setType = this.activeSet ? this.activeSet.type : null;
       this.resetRepCountersToEmpty();
       this.addLogEntry("Workout completed and saved to history", "success");
+
+      // Load the routine's next set, ready to start
+      if (routineStep) {
+        this.advanceRoutine();
+      }
+
+      // Rest before the next set, unless that was the routine's last one.
+      // Within a circuit round, only a short transition to the next exercise.
+      const routine = this.activeRoutine;
+      const routineFinished = routineStep && !routine;
+      if (setType && !routineFinished && !this.device.isReplaying) {
+        if (routine && routine.circuit && routine.index > 0) {
+          this.startRest(setType, routine.circuit.transitionSec, "Transition");
+        } else {
+          this.startRest(setType);
+        }
+      }
     }
   }
 
@@ -751,8 +2893,20 @@ class VitruvianApp {
   getWindowSize() {
     // During warmup: use last 2 samples
     // During working reps: use last 3 samples
-    const totalReps = this.warmupReps + this.workingReps;
-    return totalReps < this.warmupTarget ? 2 : 3;
+    return this.warmupReps < this.warmupTarget ? 2 : 3;
+  }
+
+  // Note a rep on the set's record, for the saved history.
+  // type is "top", "warmup" or "working".
+  recordRepEvent(type) {
+    this.currentWorkout.repEvents.push({
+      at: new Date(),
+      type: type,
+      warmupReps: this.warmupReps,
+      workingReps: this.workingReps,
+      posA: this.currentSample.posA,
+      posB: this.currentSample.posB,
+    });
   }
 
   // Record top position (when u16[0] increments)
@@ -852,12 +3006,11 @@ class VitruvianApp {
     }
   }
 
-  // Check if we should auto-stop (for Just Lift mode)
-  checkAutoStop(sample) {
+  // Whether a cable is resting in the bottom 5% of its discovered range
+  isNearBottom(sample) {
     // Need at least one cable to have established a range
     if (!this.minRepPosA && !this.minRepPosB) {
-      this.updateAutoStopUI(0);
-      return;
+      return false;
     }
 
     const rangeA = this.maxRepPosA - this.minRepPosA;
@@ -868,12 +3021,6 @@ class VitruvianApp {
     const checkCableA = rangeA > minRangeThreshold;
     const checkCableB = rangeB > minRangeThreshold;
 
-    // If neither cable has moved significantly, can't auto-stop yet
-    if (!checkCableA && !checkCableB) {
-      this.updateAutoStopUI(0);
-      return;
-    }
-
     let inDangerZone = false;
 
     // Check cable A if it has meaningful range
@@ -892,7 +3039,12 @@ class VitruvianApp {
       }
     }
 
-    if (inDangerZone) {
+    return inDangerZone;
+  }
+
+  // Check if we should auto-stop (for Just Lift mode)
+  checkAutoStop(sample) {
+    if (this.isNearBottom(sample)) {
       if (this.autoStopStartTime === null) {
         // Entered danger zone
         this.autoStopStartTime = Date.now();
@@ -906,6 +3058,7 @@ class VitruvianApp {
       const elapsed = (Date.now() - this.autoStopStartTime) / 1000;
       const progress = Math.min(elapsed / 5.0, 1.0); // 0 to 1 over 5 seconds
       this.updateAutoStopUI(progress);
+      this.updateLedPhase();
 
       if (elapsed >= 5.0) {
         this.addLogEntry(
@@ -919,6 +3072,7 @@ class VitruvianApp {
       if (this.autoStopStartTime !== null) {
         this.addLogEntry("Moved out of danger zone, timer reset", "info");
         this.autoStopStartTime = null;
+        this.updateLedPhase();
       }
       this.updateAutoStopUI(0);
     }
@@ -1006,6 +3160,7 @@ class VitruvianApp {
           this.currentSample.posA,
           this.currentSample.posB,
         );
+        this.recordRepEvent("top");
         this.lastTopCounter = topCounter;
 
         // Check if we should complete at top of final rep
@@ -1017,6 +3172,14 @@ class VitruvianApp {
         ) {
           // We're at targetReps - 1, and just reached top
           // This is the top of the final rep, complete now
+          if (this.hasDropsLeft("target")) {
+            this.addLogEntry(
+              "Reached top of final rep! Dropping the weight...",
+              "success",
+            );
+            this.startNextDrop("target");
+            return;
+          }
           this.addLogEntry(
             "Reached top of final rep! Auto-completing workout...",
             "success",
@@ -1053,11 +3216,10 @@ class VitruvianApp {
         this.currentSample.posB,
       );
 
-      const totalReps = this.warmupReps + this.workingReps + 1;
-
-      if (totalReps <= this.warmupTarget) {
+      if (this.warmupReps < this.warmupTarget) {
         // Still in warmup
         this.warmupReps++;
+        this.recordRepEvent("warmup");
         this.addLogEntry(
           `Warmup rep ${this.warmupReps}/${this.warmupTarget} complete`,
           "success",
@@ -1070,6 +3232,7 @@ class VitruvianApp {
       } else {
         // Working reps
         this.workingReps++;
+        this.recordRepEvent("working");
 
         if (this.targetReps > 0) {
           this.addLogEntry(
@@ -1091,6 +3254,15 @@ class VitruvianApp {
           this.targetReps > 0 &&
           this.workingReps >= this.targetReps
         ) {
+          if (this.hasDropsLeft("target")) {
+            this.addLogEntry(
+              "Target reps reached! Dropping the weight...",
+              "success",
+            );
+            this.startNextDrop("target");
+            return;
+          }
+
           // Complete immediately at bottom (default behavior)
           this.addLogEntry(
             "Target reps reached! Auto-completing workout...",
@@ -1107,9 +3279,14 @@ class VitruvianApp {
   }
 
   async connect() {
+    if (this.device.isReplaying) {
+      alert("Stop the capture replay before connecting.");
+      return;
+    }
+
     try {
-      // Check if Web Bluetooth is supported
-      if (!navigator.bluetooth) {
+      // Check if Web Bluetooth is supported (the simulator doesn't need it)
+      if (!this.device.isSimulated && !navigator.bluetooth) {
         alert(
           "Web Bluetooth is not supported in this browser. Please use Chrome, Edge, or Opera.",
         );
@@ -1121,6 +3298,7 @@ class VitruvianApp {
 
       // Send initialization sequence
       await this.device.sendInit();
+      await this.applyLastColorScheme();
     } catch (error) {
       console.error("Connection error:", error);
       this.addLogEntry(`Connection failed: ${error.message}`, "error");
@@ -1160,43 +3338,21 @@ class VitruvianApp {
       const justLiftCheckbox = document.getElementById("justLiftCheckbox");
       const progressionInput = document.getElementById("progression");
 
-      const baseMode = parseInt(modeSelect.value);
+      const selectedMode = this.getSelectedProgramMode(modeSelect.value);
+      const baseMode = selectedMode.baseMode;
       const perCableDisplay = parseFloat(weightInput.value);
       const isJustLift = justLiftCheckbox.checked;
       const reps = isJustLift ? 0 : parseInt(repsInput.value);
       const progressionDisplay = parseFloat(progressionInput.value);
+      const warmupReps = parseInt(
+        document.getElementById("programWarmupReps").value,
+      );
+
+      const dropPlan = this.readDropPlan(isJustLift);
 
       const perCableKg = this.convertDisplayToKg(perCableDisplay);
       const progressionKg = this.convertDisplayToKg(progressionDisplay);
 
-      // Validate inputs
-      if (
-        isNaN(perCableDisplay) ||
-        isNaN(perCableKg) ||
-        perCableKg < 0 ||
-        perCableKg > 100
-      ) {
-        alert(`Please enter a valid weight (${this.getWeightRangeText()})`);
-        return;
-      }
-
-      if (!isJustLift && (isNaN(reps) || reps < 1 || reps > 100)) {
-        alert("Please enter a valid number of reps (1-100)");
-        return;
-      }
-
-      if (
-        isNaN(progressionDisplay) ||
-        isNaN(progressionKg) ||
-        progressionKg < -3 ||
-        progressionKg > 3
-      ) {
-        alert(
-          `Please enter a valid progression (${this.getProgressionRangeText()})`,
-        );
-        return;
-      }
-
       // Calculate effective weight (per_cable_kg + 10)
       const effectiveKg = perCableKg + 10.0;
       const effectiveDisplay = this.convertKgToDisplay(effectiveKg);
@@ -1212,14 +3368,22 @@ class VitruvianApp {
         effectiveDisplay: effectiveDisplay,
         progressionKg: progressionKg,
         progressionDisplay: this.convertKgToDisplay(progressionKg),
+        warmupReps: warmupReps,
         displayUnit: this.getUnitLabel(),
         sequenceID: 0x0b,
+        profile: selectedMode.profile || undefined,
+        profileName: selectedMode.profile ? selectedMode.name : undefined,
       };
 
+      // Validate before touching any workout state
+      validateProgramParams(params);
+
       // Set rep targets before starting
-      this.warmupTarget = 3; // Programs always use 3 warmup reps
+      this.warmupTarget = warmupReps;
       this.targetReps = reps;
       this.isJustLiftMode = isJustLift;
+      this.dropPlan = dropPlan;
+      this.dropFailureStartTime = null;
       this.lastRepCounter = undefined;
       this.lastTopCounter = undefined;
 
@@ -1227,17 +3391,28 @@ class VitruvianApp {
       this.warmupReps = 0;
       this.workingReps = 0;
       const modeName = isJustLift
-        ? `Just Lift (${ProgramModeNames[baseMode]})`
-        : ProgramModeNames[baseMode];
+        ? `Just Lift (${selectedMode.name})`
+        : selectedMode.name;
       this.currentWorkout = {
         mode: modeName || "Program",
         weightKg: perCableKg,
         targetReps: reps,
         startTime: new Date(),
-        warmupEndTime: null,
+        // With no warmup reps the loaded part starts right away
+        warmupEndTime: this.warmupTarget === 0 ? new Date() : null,
         endTime: null,
+        partial: false,
+        interruptions: [],
+        weightChanges: [],
+        drops: [],
+        repEvents: [],
+        routine: this.getRoutineStep(),
+        rest: this.finishRest(),
+        exercise: this.getSelectedExercise(),
       };
+      this.activeSet = { type: "program", params: params };
       this.updateRepCounters();
+      this.updateWeightAdjustDisplay();
 
       // Show auto-stop timer if Just Lift mode
       const autoStopTimer = document.getElementById("autoStopTimer");
@@ -1247,22 +3422,16 @@ class VitruvianApp {
 
       await this.device.startProgram(params);
 
-      // Set up monitor listener
-      this.device.addMonitorListener((sample) => {
-        this.updateLiveStats(sample);
-      });
-
-      // Set up rep listener
-      this.device.addRepListener((data) => {
-        this.handleRepNotification(data);
-      });
-
       // Update stop button state
       this.updateStopButtonState();
 
       // Close sidebar on mobile after starting
       this.closeSidebar();
     } catch (error) {
+      if (error instanceof ProtocolValidationError) {
+        this.showValidationError(error);
+        return;
+      }
       console.error("Start program error:", error);
       this.addLogEntry(`Failed to start program: ${error.message}`, "error");
       alert(`Failed to start program: ${error.message}`);
@@ -1278,26 +3447,15 @@ class VitruvianApp {
         "echoJustLiftCheckbox",
       );
 
-      const level = parseInt(levelSelect.value) - 1; // Convert to 0-indexed
-      const eccentricPct = parseInt(eccentricInput.value);
-      const warmupReps = 3; // Hardcoded warmup reps for Echo mode
-      const isJustLift = echoJustLiftCheckbox.checked;
-      const targetReps = isJustLift ? 0 : parseInt(targetInput.value);
-
-      // Validate inputs
-      if (isNaN(eccentricPct) || eccentricPct < 0 || eccentricPct > 150) {
-        alert("Please enter a valid eccentric percentage (0-150)");
-        return;
-      }
-
-      if (
-        !isJustLift &&
-        (isNaN(targetReps) || targetReps < 0 || targetReps > 30)
-      ) {
-        alert("Please enter valid target reps (0-30)");
-        return;
-      }
-
+      const selectedLevel = this.getSelectedEchoLevel(levelSelect.value);
+      const level = selectedLevel.level;
+      const eccentricPct = parseInt(eccentricInput.value);
+      const warmupReps = parseInt(
+        document.getElementById("echoWarmupReps").value,
+      );
+      const isJustLift = echoJustLiftCheckbox.checked;
+      const targetReps = isJustLift ? 0 : parseInt(targetInput.value);
+
       const params = {
         level: level,
         eccentricPct: eccentricPct,
@@ -1305,12 +3463,18 @@ class VitruvianApp {
         targetReps: targetReps,
         isJustLift: isJustLift,
         sequenceID: 0x01,
+        levelValues: selectedLevel.levelValues || undefined,
+        levelName: selectedLevel.levelValues ? selectedLevel.name : undefined,
       };
 
+      // Validate before touching any workout state
+      validateEchoParams(params);
+
       // Set rep targets before starting
-      this.warmupTarget = 3; // Always 3 for Echo mode
+      this.warmupTarget = warmupReps;
       this.targetReps = targetReps;
       this.isJustLiftMode = isJustLift;
+      this.dropPlan = null; // Echo has no fixed weight to drop
       this.lastRepCounter = undefined;
       this.lastTopCounter = undefined;
 
@@ -1318,17 +3482,28 @@ class VitruvianApp {
       this.warmupReps = 0;
       this.workingReps = 0;
       const modeName = isJustLift
-        ? `Just Lift Echo ${EchoLevelNames[level]}`
-        : `Echo ${EchoLevelNames[level]}`;
+        ? `Just Lift Echo ${selectedLevel.name}`
+        : `Echo ${selectedLevel.name}`;
       this.currentWorkout = {
         mode: modeName,
         weightKg: 0, // Echo mode doesn't have fixed weight
         targetReps: targetReps,
         startTime: new Date(),
-        warmupEndTime: null,
+        // With no warmup reps the loaded part starts right away
+        warmupEndTime: this.warmupTarget === 0 ? new Date() : null,
         endTime: null,
+        partial: false,
+        interruptions: [],
+        weightChanges: [],
+        drops: [],
+        repEvents: [],
+        routine: this.getRoutineStep(),
+        rest: this.finishRest(),
+        exercise: this.getSelectedExercise(),
       };
+      this.activeSet = { type: "echo", params: params };
       this.updateRepCounters();
+      this.updateWeightAdjustDisplay();
 
       // Show auto-stop timer if Just Lift mode
       const autoStopTimer = document.getElementById("autoStopTimer");
@@ -1338,90 +3513,685 @@ class VitruvianApp {
 
       await this.device.startEcho(params);
 
-      // Set up monitor listener
-      this.device.addMonitorListener((sample) => {
-        this.updateLiveStats(sample);
-      });
-
-      // Set up rep listener
-      this.device.addRepListener((data) => {
-        this.handleRepNotification(data);
-      });
-
       // Update stop button state
       this.updateStopButtonState();
 
       // Close sidebar on mobile after starting
       this.closeSidebar();
     } catch (error) {
+      if (error instanceof ProtocolValidationError) {
+        this.showValidationError(error);
+        return;
+      }
       console.error("Start Echo error:", error);
       this.addLogEntry(`Failed to start Echo mode: ${error.message}`, "error");
       alert(`Failed to start Echo mode: ${error.message}`);
     }
   }
 
+  // Explain a rejected parameter in the form's units, with its error code
+  showValidationError(error) {
+    const range = (name) =>
+      `${ProtocolLimits[name].min}-${ProtocolLimits[name].max}`;
+    const messages = {
+      perCableKg: `Please enter a valid weight (${this.getWeightRangeText()})`,
+      effectiveKg: `Please enter a valid weight (${this.getWeightRangeText()})`,
+      progressionKg: `Please enter a valid progression (${this.getProgressionRangeText()})`,
+      reps: `Please enter a valid number of reps (${range("reps")})`,
+      eccentricPct: `Please enter a valid eccentric percentage (${range("eccentricPct")})`,
+      targetReps: `Please enter valid target reps (${range("echoTargetReps")})`,
+      warmupReps: `Please enter a valid number of warmup reps (${range("warmupReps")})`,
+      brightness: "Please enter a brightness between 0 and 100%",
+    };
+    const message = messages[error.field] || error.message;
+
+    this.addLogEntry(
+      `Rejected ${error.field} [${error.code}]: ${error.message}`,
+      "error",
+    );
+    alert(`${message}\n\nError code: ${error.code} (${error.field})`);
+  }
+
+  // Start or stop capturing the BLE session, downloading the capture on stop
+  toggleRecording() {
+    const recordBtn = document.getElementById("recordBtn");
+
+    if (!this.device.recorder) {
+      this.device.startRecording();
+      recordBtn.textContent = "Stop & Download Capture";
+      return;
+    }
+
+    const capture = this.device.stopRecording();
+    recordBtn.textContent = "Start Recording";
+    this.downloadTextFile(
+      `vitruvian_capture_${new Date().toISOString().split("T")[0]}_${Date.now()}.json`,
+      JSON.stringify(capture),
+      "application/json",
+    );
+  }
+
+  // Replay a capture file chosen in the file input
+  async replayCaptureFile(input) {
+    const file = input.files && input.files[0];
+    input.value = "";
+    if (!file) {
+      return;
+    }
+
+    if (this.device.isConnected) {
+      alert("Disconnect from the device before replaying a capture.");
+      return;
+    }
+
+    try {
+      const capture = parseCaptureFile(await file.text());
+      this.resetRepCountersToEmpty();
+      this.updateReplayControls(true);
+      await this.device.replayCapture(capture);
+    } catch (error) {
+      console.error("Replay error:", error);
+      this.addLogEntry(`Replay failed: ${error.message}`, "error");
+      alert(`Replay failed: ${error.message}`);
+    } finally {
+      this.updateReplayControls(false);
+      if (this.currentWorkout) {
+        this.completeWorkout();
+      }
+    }
+  }
+
+  stopReplay() {
+    this.device.stopReplay();
+  }
+
+  updateReplayControls(replaying) {
+    const stopReplayBtn = document.getElementById("stopReplayBtn");
+    if (stopReplayBtn) {
+      stopReplayBtn.disabled = !replaying;
+    }
+  }
+
+  // Rebuild workout state from frames seen during a replay
+  handleReplayedWrite(frame) {
+    const { type, params } = parseFrame(frame);
+
+    if (type === "init") {
+      // Stop command ends the replayed set, like stopWorkout does live
+      if (this.currentWorkout) {
+        this.completeWorkout();
+      }
+    } else if (type === "program") {
+      this.beginReplayedWorkout({
+        mode: params.isJustLift ? "Just Lift (replay)" : "Program (replay)",
+        weightKg: params.perCableKg,
+        warmupTarget: params.warmupReps,
+        targetReps: params.isJustLift ? 0 : params.reps,
+        isJustLift: params.isJustLift,
+      });
+    } else if (type === "echo") {
+      this.beginReplayedWorkout({
+        mode: params.isJustLift ? "Just Lift Echo (replay)" : "Echo (replay)",
+        weightKg: 0,
+        warmupTarget: params.warmupReps,
+        targetReps: params.isJustLift ? 0 : params.targetReps,
+        isJustLift: params.isJustLift,
+      });
+    }
+  }
+
+  beginReplayedWorkout(info) {
+    if (this.currentWorkout) {
+      this.completeWorkout();
+    }
+
+    this.warmupTarget = info.warmupTarget;
+    this.targetReps = info.targetReps;
+    this.isJustLiftMode = info.isJustLift;
+    this.lastRepCounter = undefined;
+    this.lastTopCounter = undefined;
+    this.warmupReps = 0;
+    this.workingReps = 0;
+    this.currentWorkout = {
+      mode: info.mode,
+      weightKg: info.weightKg,
+      targetReps: info.targetReps,
+      startTime: new Date(),
+      warmupEndTime: this.warmupTarget === 0 ? new Date() : null,
+      endTime: null,
+      partial: false,
+      interruptions: [],
+      weightChanges: [],
+      drops: [],
+      repEvents: [],
+      routine: null,
+      rest: null,
+      exercise: null,
+    };
+    this.updateRepCounters();
+
+    const autoStopTimer = document.getElementById("autoStopTimer");
+    if (autoStopTimer) {
+      autoStopTimer.style.display = info.isJustLift ? "block" : "none";
+    }
+  }
+
+  setupColorControls() {
+    this.renderCustomOptions("colorPreset", this.colorSchemes, "");
+    const lastScheme = this.loadLastColorScheme();
+    if (lastScheme) {
+      this.showColorScheme(lastScheme);
+    }
+    this.updateColorSchemeButtons();
+  }
+
   loadColorPreset() {
     const presetSelect = document.getElementById("colorPreset");
     const preset = presetSelect.value;
+    this.updateColorSchemeButtons();
 
     if (!preset) {
       return; // Custom option selected
     }
 
+    if (preset.startsWith("custom:")) {
+      const saved = this.colorSchemes.get(preset.slice("custom:".length));
+      if (saved) {
+        this.showColorScheme(saved.values);
+        document.getElementById("colorSchemeName").value = saved.name;
+      }
+      return;
+    }
+
     const scheme = PredefinedColorSchemes[preset];
     if (!scheme) {
       return;
     }
+    this.showColorScheme(scheme);
+  }
 
-    // Update color pickers
-    const colorToHex = (color) => {
-      return (
-        "#" +
-        color.r.toString(16).padStart(2, "0") +
-        color.g.toString(16).padStart(2, "0") +
-        color.b.toString(16).padStart(2, "0")
-      );
-    };
+  // Put a { brightness, colors } scheme into the pickers
+  showColorScheme(scheme) {
+    document.getElementById("color1").value = this.rgbToHex(scheme.colors[0]);
+    document.getElementById("color2").value = this.rgbToHex(scheme.colors[1]);
+    document.getElementById("color3").value = this.rgbToHex(scheme.colors[2]);
+    document.getElementById("colorBrightness").value = Math.round(
+      scheme.brightness * 100,
+    );
+  }
+
+  updateColorSchemeButtons() {
+    const preset = document.getElementById("colorPreset").value;
+    document.getElementById("deleteColorSchemeBtn").disabled =
+      !preset.startsWith("custom:");
+  }
+
+  rgbToHex(color) {
+    return (
+      "#" +
+      color.r.toString(16).padStart(2, "0") +
+      color.g.toString(16).padStart(2, "0") +
+      color.b.toString(16).padStart(2, "0")
+    );
+  }
 
-    document.getElementById("color1").value = colorToHex(scheme.colors[0]);
-    document.getElementById("color2").value = colorToHex(scheme.colors[1]);
-    document.getElementById("color3").value = colorToHex(scheme.colors[2]);
+  hexToRgb(hex) {
+    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+    return result
+      ? {
+          r: parseInt(result[1], 16),
+          g: parseInt(result[2], 16),
+          b: parseInt(result[3], 16),
+        }
+      : { r: 0, g: 0, b: 0 };
+  }
+
+  // { brightness, colors } from the pickers; brightness is entered in percent
+  readColorSchemeInputs() {
+    return {
+      brightness:
+        parseFloat(document.getElementById("colorBrightness").value) / 100,
+      colors: ["color1", "color2", "color3"].map((id) =>
+        this.hexToRgb(document.getElementById(id).value),
+      ),
+    };
   }
 
   async setColorScheme() {
     try {
-      const color1Input = document.getElementById("color1");
-      const color2Input = document.getElementById("color2");
-      const color3Input = document.getElementById("color3");
-
-      // Use fixed brightness of 0.4 (adjusting brightness doesn't seem to work)
-      const brightness = 0.4;
-
-      // Parse colors from hex inputs
-      const hexToRgb = (hex) => {
-        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-        return result
-          ? {
-              r: parseInt(result[1], 16),
-              g: parseInt(result[2], 16),
-              b: parseInt(result[3], 16),
-            }
-          : { r: 0, g: 0, b: 0 };
-      };
-
-      const colors = [
-        hexToRgb(color1Input.value),
-        hexToRgb(color2Input.value),
-        hexToRgb(color3Input.value),
-      ];
+      const { brightness, colors } = this.readColorSchemeInputs();
+      validateColorScheme(brightness, colors);
 
+      // A running animation would paint over the new scheme
+      await this.ledAnimator.stop({ restore: false });
       await this.device.setColorScheme(brightness, colors);
+      this.ledAnimator.setBaseScheme(brightness, colors);
+      this.saveLastColorScheme({ brightness, colors });
     } catch (error) {
+      if (error instanceof ProtocolValidationError) {
+        this.showValidationError(error);
+        return;
+      }
       console.error("Set color scheme error:", error);
       this.addLogEntry(`Failed to set color scheme: ${error.message}`, "error");
       alert(`Failed to set color scheme: ${error.message}`);
     }
   }
+
+  // Re-apply the last scheme after connecting, so users don't have to pick
+  // their colors again every session
+  async applyLastColorScheme() {
+    const scheme = this.loadLastColorScheme();
+    if (!scheme) {
+      return;
+    }
+    try {
+      await this.device.setColorScheme(scheme.brightness, scheme.colors);
+      this.ledAnimator.setBaseScheme(scheme.brightness, scheme.colors);
+    } catch (error) {
+      this.addLogEntry(
+        `Failed to restore color scheme: ${error.message}`,
+        "error",
+      );
+    }
+  }
+
+  loadLastColorScheme() {
+    if (typeof window === "undefined" || !window.localStorage) {
+      return null;
+    }
+    try {
+      const scheme = JSON.parse(
+        localStorage.getItem("vitruvian.lastColorScheme") || "null",
+      );
+      if (scheme) {
+        validateColorScheme(scheme.brightness, scheme.colors);
+        return scheme;
+      }
+    } catch (error) {
+      // Ignore storage errors and invalid schemes.
+    }
+    return null;
+  }
+
+  saveLastColorScheme(scheme) {
+    if (typeof window === "undefined" || !window.localStorage) {
+      return;
+    }
+    try {
+      localStorage.setItem("vitruvian.lastColorScheme", JSON.stringify(scheme));
+    } catch (error) {
+      // Ignore storage errors (e.g., private browsing).
+    }
+  }
+
+  // Save the pickers as a named scheme, updating it if one is selected
+  saveColorScheme() {
+    const select = document.getElementById("colorPreset");
+    const preset = this.savePreset(
+      this.colorSchemes,
+      (values) => validateColorScheme(values.brightness, values.colors),
+      {
+        id: select.value.startsWith("custom:")
+          ? select.value.slice("custom:".length)
+          : null,
+        name: document.getElementById("colorSchemeName").value,
+        values: this.readColorSchemeInputs(),
+      },
+    );
+    if (!preset) {
+      return;
+    }
+
+    this.renderCustomOptions("colorPreset", this.colorSchemes, "");
+    select.value = `custom:${preset.id}`;
+    this.updateColorSchemeButtons();
+    this.addLogEntry(`Saved color scheme "${preset.name}"`, "success");
+  }
+
+  deleteColorScheme() {
+    const select = document.getElementById("colorPreset");
+    if (!select.value.startsWith("custom:")) {
+      return;
+    }
+    const preset = this.colorSchemes.get(select.value.slice("custom:".length));
+    if (!preset) {
+      return;
+    }
+    this.colorSchemes.remove(preset.id);
+    this.renderCustomOptions("colorPreset", this.colorSchemes, "");
+    document.getElementById("colorSchemeName").value = "";
+    this.updateColorSchemeButtons();
+    this.addLogEntry(`Deleted color scheme "${preset.name}"`, "info");
+  }
+
+  exportColorSchemes() {
+    const schemes = this.colorSchemes.list().map((preset) => ({
+      name: preset.name,
+      brightness: preset.values.brightness,
+      colors: preset.values.colors.map((color) => this.rgbToHex(color)),
+    }));
+    if (schemes.length === 0) {
+      alert("There are no saved color schemes to export.");
+      return;
+    }
+    this.downloadTextFile(
+      `vitruvian_color_schemes_${Date.now()}.json`,
+      JSON.stringify(schemes, null, 2),
+      "application/json",
+    );
+  }
+
+  setupLedControls() {
+    const { brightness, colors } = this.readColorSchemeInputs();
+    this.ledAnimator.setBaseScheme(brightness, colors);
+    this.ledAnimator.on("start", (sequence) => {
+      this.addLogEntry(`Playing LED sequence "${sequence.name}"`, "info");
+    });
+    this.ledAnimator.on("stop", (sequence, { completed }) => {
+      if (completed) {
+        this.addLogEntry(`LED sequence "${sequence.name}" finished`, "info");
+      }
+    });
+    this.ledAnimator.on("error", (error) => {
+      this.addLogEntry(`LED animation error: ${error.message}`, "error");
+    });
+
+    this.renderCustomOptions("ledSequenceSelect", this.ledSequences, "breathe");
+    this.showLedSequence();
+    this.renderLedPhaseFields();
+  }
+
+  // Resolve a #ledSequenceSelect value: a LedSequences key or "custom:<id>"
+  getSelectedLedSequence() {
+    const value = document.getElementById("ledSequenceSelect").value;
+    if (value.startsWith("custom:")) {
+      const preset = this.ledSequences.get(value.slice("custom:".length));
+      return preset ? { name: preset.name, ...preset.values } : null;
+    }
+    return LedSequences[value] || null;
+  }
+
+  // Show the selected sequence as editable JSON
+  showLedSequence() {
+    const sequence = this.getSelectedLedSequence();
+    const jsonInput = document.getElementById("ledSequenceJson");
+    jsonInput.value = sequence ? JSON.stringify(sequence, null, 2) : "";
+
+    const value = document.getElementById("ledSequenceSelect").value;
+    document.getElementById("deleteLedSequenceBtn").disabled =
+      !value.startsWith("custom:");
+  }
+
+  // Parse the JSON box; alerts and returns null when it is not a valid sequence
+  readLedSequenceJson() {
+    try {
+      const sequence = JSON.parse(
+        document.getElementById("ledSequenceJson").value,
+      );
+      validateLedSequence(sequence);
+      return sequence;
+    } catch (error) {
+      alert(`Invalid LED sequence: ${error.message}`);
+      return null;
+    }
+  }
+
+  async playLedSequence() {
+    const sequence = this.readLedSequenceJson();
+    if (!sequence) {
+      return;
+    }
+    if (!sequence.name) {
+      sequence.name = "Custom";
+    }
+    try {
+      await this.ledAnimator.play(sequence);
+    } catch (error) {
+      this.addLogEntry(
+        `Failed to play LED sequence: ${error.message}`,
+        "error",
+      );
+    }
+  }
+
+  async stopLedSequence() {
+    await this.ledAnimator.stop();
+  }
+
+  // Save the JSON box as a custom sequence, updating it if one is selected
+  saveLedSequence() {
+    const sequence = this.readLedSequenceJson();
+    if (!sequence) {
+      return;
+    }
+
+    const select = document.getElementById("ledSequenceSelect");
+    const { name, ...values } = sequence;
+    let preset;
+    try {
+      preset = this.ledSequences.put({
+        id: select.value.startsWith("custom:")
+          ? select.value.slice("custom:".length)
+          : null,
+        name,
+        values,
+      });
+    } catch (error) {
+      alert(`${error.message} (set "name" in the JSON)`);
+      return;
+    }
+
+    this.renderCustomOptions("ledSequenceSelect", this.ledSequences, "breathe");
+    select.value = `custom:${preset.id}`;
+    this.showLedSequence();
+    this.addLogEntry(`Saved LED sequence "${preset.name}"`, "success");
+  }
+
+  deleteLedSequence() {
+    const select = document.getElementById("ledSequenceSelect");
+    if (!select.value.startsWith("custom:")) {
+      return;
+    }
+    const preset = this.ledSequences.get(select.value.slice("custom:".length));
+    if (!preset) {
+      return;
+    }
+    this.ledSequences.remove(preset.id);
+    this.renderCustomOptions("ledSequenceSelect", this.ledSequences, "breathe");
+    this.showLedSequence();
+    this.addLogEntry(`Deleted LED sequence "${preset.name}"`, "info");
+  }
+
+  // Phase colors: { enabled, phases: { <phase>: scheme } }, where a scheme is
+  // "" (the user's color scheme), a PredefinedColorSchemes key or "#rrggbb"
+  loadLedPhaseSettings() {
+    const settings = {
+      enabled: false,
+      phases: Object.fromEntries(
+        LedPhases.map((phase) => [phase.key, phase.scheme]),
+      ),
+    };
+    if (typeof window === "undefined" || !window.localStorage) {
+      return settings;
+    }
+    try {
+      const stored = JSON.parse(
+        localStorage.getItem("vitruvian.ledPhaseColors") || "null",
+      );
+      if (stored) {
+        settings.enabled = stored.enabled === true;
+        Object.assign(settings.phases, stored.phases);
+      }
+    } catch (error) {
+      // Ignore storage errors and fall back to defaults.
+    }
+    return settings;
+  }
+
+  saveLedPhaseSettings() {
+    if (typeof window === "undefined" || !window.localStorage) {
+      return;
+    }
+    try {
+      localStorage.setItem(
+        "vitruvian.ledPhaseColors",
+        JSON.stringify(this.ledPhaseSettings),
+      );
+    } catch (error) {
+      // Ignore storage errors (e.g., private browsing).
+    }
+  }
+
+  // One row per phase: a scheme picker plus a color input for "Custom"
+  renderLedPhaseFields() {
+    const checkbox = document.getElementById("ledPhaseCheckbox");
+    if (checkbox) {
+      checkbox.checked = this.ledPhaseSettings.enabled;
+    }
+    const container = document.getElementById("ledPhaseFields");
+    if (!container) {
+      return;
+    }
+
+    const schemeOptions = Object.entries(PredefinedColorSchemes)
+      .map(([key, scheme]) => `<option value="${key}">${scheme.name}</option>`)
+      .join("");
+    container.innerHTML = LedPhases.map(
+      (phase) => `
+        <label for="ledPhase_${phase.key}">${phase.label}</label>
+        <div class="led-phase-row">
+          <select id="ledPhase_${phase.key}" onchange="app.updateLedPhaseSettings()">
+            <option value="">Color scheme</option>
+            ${schemeOptions}
+            <option value="custom">Custom</option>
+          </select>
+          <input type="color" id="ledPhaseColor_${phase.key}" onchange="app.updateLedPhaseSettings()" />
+        </div>`,
+    ).join("");
+
+    for (const phase of LedPhases) {
+      const value = this.ledPhaseSettings.phases[phase.key] || "";
+      const isCustom = value.startsWith("#");
+      const colorInput = document.getElementById(`ledPhaseColor_${phase.key}`);
+      document.getElementById(`ledPhase_${phase.key}`).value = isCustom
+        ? "custom"
+        : value;
+      colorInput.value = isCustom ? value : "#ffffff";
+      colorInput.classList.toggle("hidden", !isCustom);
+    }
+  }
+
+  updateLedPhaseSettings() {
+    for (const phase of LedPhases) {
+      const value = document.getElementById(`ledPhase_${phase.key}`).value;
+      const colorInput = document.getElementById(`ledPhaseColor_${phase.key}`);
+      colorInput.classList.toggle("hidden", value !== "custom");
+      this.ledPhaseSettings.phases[phase.key] =
+        value === "custom" ? colorInput.value : value;
+    }
+    this.saveLedPhaseSettings();
+    this.refreshLedPhase();
+  }
+
+  toggleLedPhases() {
+    const checkbox = document.getElementById("ledPhaseCheckbox");
+    this.ledPhaseSettings.enabled = checkbox.checked;
+    this.saveLedPhaseSettings();
+
+    if (checkbox.checked) {
+      this.refreshLedPhase();
+    } else if (this.device.isConnected) {
+      // Go back to the user's own colors
+      const base = this.ledAnimator.base;
+      this.ledAnimator.show(base.brightness, base.colors).catch((error) => {
+        this.addLogEntry(`LED update failed: ${error.message}`, "error");
+      });
+    }
+  }
+
+  // Which phase the LEDs should show right now (see LedPhases)
+  getWorkoutPhase() {
+    if (!this.currentWorkout) {
+      return Date.now() < this.setCompleteUntil ? "complete" : "idle";
+    }
+    if (
+      this.autoStopStartTime !== null &&
+      Date.now() - this.autoStopStartTime >= LED_AUTO_STOP_DELAY_MS
+    ) {
+      return "autoStop";
+    }
+    if (this.warmupReps < this.warmupTarget) {
+      return "warmup";
+    }
+    if (
+      !this.isJustLiftMode &&
+      this.targetReps > 0 &&
+      this.workingReps === this.targetReps - 1
+    ) {
+      return "finalRep";
+    }
+    return "working";
+  }
+
+  // Switch the LEDs when the workout phase changes
+  updateLedPhase() {
+    const phase = this.getWorkoutPhase();
+    if (phase === this.ledPhase) {
+      return;
+    }
+    this.ledPhase = phase;
+    if (
+      !this.ledPhaseSettings.enabled ||
+      !this.device.isConnected ||
+      this.device.isReplaying
+    ) {
+      return;
+    }
+    this.applyLedPhase(phase);
+  }
+
+  // Show the current phase again, e.g. after its colors were edited
+  refreshLedPhase() {
+    this.ledPhase = null;
+    this.updateLedPhase();
+  }
+
+  // { brightness, colors } for a phase
+  getLedPhaseScheme(phase) {
+    const value = this.ledPhaseSettings.phases[phase] || "";
+    if (value.startsWith("#")) {
+      // A plain color keeps the brightness the user set
+      const color = this.hexToRgb(value);
+      return {
+        brightness: this.ledAnimator.base.brightness,
+        colors: [color, color, color],
+      };
+    }
+    const scheme = PredefinedColorSchemes[value];
+    return scheme
+      ? { brightness: scheme.brightness, colors: scheme.colors }
+      : this.ledAnimator.base;
+  }
+
+  async applyLedPhase(phase) {
+    const scheme = this.getLedPhaseScheme(phase);
+    try {
+      if (phase === "autoStop") {
+        // Pulse so the countdown is noticeable without looking at the phone
+        const [first, ...rest] = LedSequences.pulse.steps;
+        await this.ledAnimator.play({
+          ...LedSequences.pulse,
+          name: "Auto-stop",
+          steps: [{ ...first, colors: scheme.colors }, ...rest],
+        });
+      } else {
+        await this.ledAnimator.show(scheme.brightness, scheme.colors);
+      }
+    } catch (error) {
+      this.addLogEntry(`LED update failed: ${error.message}`, "error");
+    }
+  }
 }
 
 // Create global app instance
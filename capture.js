@@ -0,0 +1,108 @@
+// capture.js - BLE session capture and replay files
+//
+// A capture records every frame written to the Trainer, every notification
+// and every polled read, with millisecond offsets from the start of the
+// recording. VitruvianDevice.replayCapture feeds a capture back through the
+// same listeners so the UI behaves as it did live.
+
+const CAPTURE_FORMAT = "vitruvian-capture";
+const CAPTURE_VERSION = 1;
+const CAPTURE_EVENT_KINDS = ["write", "notify", "read"];
+
+class SessionRecorder {
+  constructor() {
+    this.events = [];
+    this.startTime = 0;
+    this.startedAt = null;
+    this.metadata = {};
+  }
+
+  start(metadata = {}) {
+    this.events = [];
+    this.startTime = Date.now();
+    this.startedAt = new Date(this.startTime);
+    this.metadata = metadata;
+  }
+
+  // kind is "write", "notify" or "read"
+  record(kind, uuid, data, label = null) {
+    const event = {
+      t: Date.now() - this.startTime,
+      kind: kind,
+      uuid: uuid.toLowerCase(),
+      hex: bytesToHex(data),
+    };
+    if (label) {
+      event.label = label;
+    }
+    this.events.push(event);
+  }
+
+  toCapture() {
+    return {
+      format: CAPTURE_FORMAT,
+      version: CAPTURE_VERSION,
+      startedAt: this.startedAt ? this.startedAt.toISOString() : null,
+      device: this.metadata,
+      events: this.events,
+    };
+  }
+}
+
+// Parse and validate a capture file, converting hex payloads to bytes
+function parseCaptureFile(text) {
+  let capture;
+  try {
+    capture = JSON.parse(text);
+  } catch (error) {
+    throw new Error("Capture file is not valid JSON");
+  }
+
+  if (!capture || capture.format !== CAPTURE_FORMAT) {
+    throw new Error("Not a Vitruvian capture file");
+  }
+  if (capture.version !== CAPTURE_VERSION) {
+    throw new Error(`Unsupported capture version: ${capture.version}`);
+  }
+  if (!Array.isArray(capture.events)) {
+    throw new Error("Capture file has no events");
+  }
+
+  return {
+    ...capture,
+    events: capture.events.map(parseCaptureEvent),
+  };
+}
+
+// Check one event before it can reach replay; throws naming the event (from
+// 1) on the first problem
+function parseCaptureEvent(event, index) {
+  const fail = (problem) => {
+    throw new Error(`Capture event ${index + 1} ${problem}`);
+  };
+
+  if (!event || typeof event !== "object") {
+    fail("is not an object");
+  }
+  if (!Number.isFinite(event.t) || event.t < 0) {
+    fail(`has an invalid time: ${event.t}`);
+  }
+  if (!CAPTURE_EVENT_KINDS.includes(event.kind)) {
+    fail(`has an unknown kind: ${event.kind}`);
+  }
+  if (typeof event.uuid !== "string" || !event.uuid) {
+    fail("has no characteristic uuid");
+  }
+  // Hex digits, optionally spaced as bytesToHex() writes them
+  if (typeof event.hex !== "string" || !/^[0-9a-f\s]*$/i.test(event.hex)) {
+    fail("has no hex payload");
+  }
+
+  let data;
+  try {
+    data = hexToBytes(event.hex);
+  } catch (error) {
+    fail(`has a bad hex payload: ${error.message}`);
+  }
+  return { ...event, data: data };
+}
@@ -5,6 +5,7 @@ class ChartManager {
     this.containerId = containerId;
     this.chart = null;
     this.loadHistory = [];
+    this.viewedSamples = null; // Samples of a saved set, shown instead of live data
     this.maxHistoryPoints = 72000; // 2hrs at 100ms polling (7200s / 0.1s = 72000 points)
     this.currentTimeRange = 30; // Current time range in seconds (default 30s)
     this.live = true;
@@ -350,7 +351,7 @@ class ChartManager {
     const positionsB = [];
     const positionsA = [];
 
-    for (const point of this.loadHistory) {
+    for (const point of this.viewedSamples || this.loadHistory) {
       timestamps.push(point.timestamp.getTime() / 1000); // Convert to Unix seconds
       const totalKg = point.loadA + point.loadB;
       const displayTotal = this.loadUnit.toDisplay(totalKg);
@@ -398,6 +399,7 @@ class ChartManager {
 
     if (seconds) {
       this.live = true;
+      this.viewedSamples = null; // Back to live data
     }
 
     if (seconds === 10) {
@@ -479,6 +481,13 @@ class ChartManager {
     return this.loadHistory.length;
   }
 
+  // Live samples recorded between two times, e.g. during one set
+  getSamplesBetween(startTime, endTime) {
+    return this.loadHistory.filter(
+      (point) => point.timestamp >= startTime && point.timestamp <= endTime,
+    );
+  }
+
   // Set event markers for a workout
   setEventMarkers(markers) {
     this.eventMarkers = markers;
@@ -495,8 +504,9 @@ class ChartManager {
     }
   }
 
-  // View a specific workout on the graph
-  viewWorkout(workout) {
+  // View a specific workout on the graph. Pass the samples of a saved set to
+  // draw them instead of the live history, which only goes back 2 hours.
+  viewWorkout(workout, samples = null) {
     if (!workout.startTime || !workout.endTime) {
       if (this.onLog) {
         this.onLog("Workout does not have timing information", "error");
@@ -521,6 +531,37 @@ class ChartManager {
       });
     }
 
+    for (const interruption of workout.interruptions || []) {
+      markers.push({
+        time: interruption.disconnectedAt,
+        label: "Lost",
+        color: "#fab005",
+      });
+      if (interruption.resumedAt) {
+        markers.push({
+          time: interruption.resumedAt,
+          label: "Resumed",
+          color: "#fab005",
+        });
+      }
+    }
+
+    for (const change of workout.weightChanges || []) {
+      markers.push({
+        time: change.at,
+        label: this.formatLoadValue(this.loadUnit.toDisplay(change.toKg)),
+        color: "#4dabf7",
+      });
+    }
+
+    (workout.drops || []).forEach((drop, index) => {
+      markers.push({
+        time: drop.at,
+        label: `Drop ${index + 1}: ${this.formatLoadValue(this.loadUnit.toDisplay(drop.toKg))}`,
+        color: "#cc5de8",
+      });
+    });
+
     markers.push({
       time: workout.endTime,
       label: "End",
@@ -532,6 +573,7 @@ class ChartManager {
     // Set time range to show the workout
     this.live = false;
     this.currentTimeRange = null;
+    this.viewedSamples = samples;
 
     // Update chart data to ensure the latest workout is loaded
     this.updateChartData();
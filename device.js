@@ -20,8 +20,40 @@ const NOTIFY_CHAR_UUIDS = [
   "ef0e485a-8749-4314-b1be-01e57cd1712e",
 ];
 
-class VitruvianDevice {
+// GATT queue priorities (lower runs first, FIFO within a priority)
+const GattPriority = {
+  CONTROL: 0, // Init, program, echo and stop frames
+  NORMAL: 1, // Other writes, e.g. color scheme
+  POLL: 2, // Periodic monitor and property reads
+  BACKGROUND: 3, // LED animation frames; never ahead of polling
+};
+
+const GATT_STALE_POLL_MS = 1000; // Polling reads queued longer than this are dropped
+const MONITOR_TARGET_INTERVAL_MS = 100; // Preferred monitor polling interval
+const MONITOR_MAX_INTERVAL_MS = 500; // Slowest interval when the link is congested
+
+const GATT_SLOW_CONTROL_WAIT_MS = 100; // Warn when a control write waits longer
+
+const LED_FRAME_LABEL = "LED frame"; // Write label for animation frames
+
+// Events (see EventEmitter in events.js):
+//   connect ()                          GATT link is up and subscribed
+//   disconnect ({ manual })             link went down, by request or not
+//   connectionlost ()                   unexpected drop, reconnect follows
+//   reconnecting (attempt, maxAttempts) before each reconnect attempt
+//   reconnect ()                        link restored after a drop
+//   reconnectfailed ()                  gave up reconnecting
+//   protocol (detection)                protocol profile picked on connect
+//   monitor (sample)                    parsed monitor sample
+//   rep (data, value)                   raw rep frame and its decoded value
+//   property (data)                     raw property frame
+//   notification:<name> (value, data)   decoded notification, by decoder name
+//   rawnotification (uuid, data)        notification without a decoder
+//   write (label, payload)              frame written to the device
+//   log (message, type)                 log line
+class VitruvianDevice extends EventEmitter {
   constructor() {
+    super();
     this.device = null;
     this.server = null;
     this.rxChar = null;
@@ -29,31 +61,103 @@ class VitruvianDevice {
     this.propertyChar = null;
     this.repNotifyChar = null;
     this.isConnected = false;
+    this.isSimulated = false;
     this.propertyInterval = null;
-    this.monitorInterval = null;
-    this.onLog = null; // Callback for logging
-    this.propertyListeners = [];
-    this.repListeners = [];
-    this.monitorListeners = [];
+    this.monitorInterval = null; // Timer for the next monitor read
+    this.monitorRun = 0; // Bumped on every start and stop; stale loops end
+    this.monitorIntervalMs = MONITOR_TARGET_INTERVAL_MS; // Current adaptive interval
+    this.monitorStats = null; // Sampling statistics for the current set
     this.lastGoodPosA = 0;
     this.lastGoodPosB = 0;
 
+    // Frame builders and parsers for the connected machine (see firmware.js)
+    this.protocolProfile = ProtocolProfiles.getDefault();
+    this.protocolDetection = null; // { profile, known, problems, firmwareRevision }
+
+    // Automatic reconnect after an unexpected disconnect
+    this.manualDisconnect = false;
+    this.isReconnecting = false;
+    this.maxReconnectAttempts = 5;
+    this.reconnectBaseDelay = 1000;
+    this.reconnectMaxDelay = 16000;
+    this.subscribedChars = new WeakSet(); // Characteristics with a listener attached
+
+    // Session capture and replay
+    this.recorder = null;
+    this.isReplaying = false;
+
     // GATT operation queue to prevent "operation already in progress" errors
     this.gattQueue = [];
     this.gattBusy = false;
+    this.resetGattQueueStats();
   }
 
   log(message, type = "info") {
     console.log(`[${type}] ${message}`);
-    if (this.onLog) {
-      this.onLog(message, type);
-    }
+    this.emit("log", message, type);
   }
 
-  // Queue a GATT operation to prevent concurrent access
-  async queueGattOperation(operation) {
+  resetGattQueueStats() {
+    this.gattStats = {
+      maxDepth: 0,
+      lastWaitMs: 0,
+      avgWaitMs: 0, // Exponential moving average
+      maxWaitMs: 0,
+      lastControlWaitMs: 0,
+      merged: 0, // Polling reads folded into one already queued
+      dropped: 0, // Polling reads discarded after waiting too long
+    };
+  }
+
+  // Snapshot of queue congestion for display
+  getGattQueueStats() {
+    return {
+      ...this.gattStats,
+      depth: this.gattQueue.length,
+      busy: this.gattBusy,
+    };
+  }
+
+  // Queue a GATT operation to prevent concurrent access.
+  // options.priority picks the lane (GattPriority). With options.key, only one
+  // operation per key is queued: a repeat request is merged into the queued
+  // one and resolves with null, since the queued one will deliver fresh data.
+  async queueGattOperation(operation, options = {}) {
+    const priority =
+      options.priority !== undefined ? options.priority : GattPriority.NORMAL;
+    const key = options.key || null;
+
     return new Promise((resolve, reject) => {
-      this.gattQueue.push({ operation, resolve, reject });
+      if (key) {
+        const pending = this.gattQueue.find((entry) => entry.key === key);
+        if (pending) {
+          this.gattStats.merged++;
+          resolve(null);
+          return;
+        }
+      }
+
+      const entry = {
+        operation,
+        priority,
+        key,
+        enqueuedAt: Date.now(),
+        resolve,
+        reject,
+      };
+
+      // Insert after every entry of the same or higher priority
+      const index = this.gattQueue.findIndex((e) => e.priority > priority);
+      if (index === -1) {
+        this.gattQueue.push(entry);
+      } else {
+        this.gattQueue.splice(index, 0, entry);
+      }
+
+      this.gattStats.maxDepth = Math.max(
+        this.gattStats.maxDepth,
+        this.gattQueue.length,
+      );
       this.processGattQueue();
     });
   }
@@ -74,7 +178,20 @@ class VitruvianDevice {
       return;
     }
 
-    const { operation, resolve, reject } = this.gattQueue.shift();
+    const { operation, priority, enqueuedAt, resolve, reject } =
+      this.gattQueue.shift();
+    const waitMs = Date.now() - enqueuedAt;
+
+    // A polling read stuck behind a backlog is stale; skip it
+    if (priority === GattPriority.POLL && waitMs > GATT_STALE_POLL_MS) {
+      this.gattStats.dropped++;
+      this.gattBusy = false;
+      reject(new Error("GATT read dropped (queue backlog)"));
+      this.processGattQueue();
+      return;
+    }
+
+    this.recordGattWait(priority, waitMs);
 
     try {
       const result = await operation();
@@ -88,6 +205,20 @@ class VitruvianDevice {
     }
   }
 
+  recordGattWait(priority, waitMs) {
+    const stats = this.gattStats;
+    stats.lastWaitMs = waitMs;
+    stats.avgWaitMs = stats.avgWaitMs * 0.9 + waitMs * 0.1;
+    stats.maxWaitMs = Math.max(stats.maxWaitMs, waitMs);
+
+    if (priority === GattPriority.CONTROL) {
+      stats.lastControlWaitMs = waitMs;
+      if (waitMs > GATT_SLOW_CONTROL_WAIT_MS) {
+        this.log(`Control write waited ${waitMs}ms in the GATT queue`, "error");
+      }
+    }
+  }
+
   logWriteAttempt(label, payload) {
     const hex = bytesToHex(payload);
     this.log(`-> ${label} (${payload.length} bytes): ${hex}`, "info");
@@ -101,77 +232,242 @@ class VitruvianDevice {
     }
   }
 
+  // Ask the browser for a Vitruvian device (overridden by the simulator)
+  async requestBluetoothDevice() {
+    return navigator.bluetooth.requestDevice({
+      filters: [{ namePrefix: "Vee" }],
+      optionalServices: [
+        ...ProtocolProfiles.serviceUuids(),
+        GATT_SERVICE_UUID,
+        DEVICE_INFO_SERVICE_UUID,
+      ],
+    });
+  }
+
   // Connect to the Vitruvian device
   async connect() {
     try {
       this.log("Requesting Bluetooth device...", "info");
+      this.manualDisconnect = false;
 
       // Request device with filters
-      this.device = await navigator.bluetooth.requestDevice({
-        filters: [{ namePrefix: "Vee" }],
-        optionalServices: [NUS_SERVICE_UUID, GATT_SERVICE_UUID],
-      });
+      this.device = await this.requestBluetoothDevice();
 
       this.log(`Found device: ${this.device.name}`, "success");
 
       // Listen for disconnection
       this.device.addEventListener("gattserverdisconnected", () => {
         this.log("Device disconnected", "error");
-        this.handleDisconnect();
+        this.handleGattDisconnected();
       });
 
-      // Connect to GATT server
-      this.log("Connecting to GATT server...", "info");
-      this.server = await this.device.gatt.connect();
+      await this.connectGatt();
+      this.log("Device ready!", "success");
 
-      this.log("Connected! Discovering services...", "success");
+      return true;
+    } catch (error) {
+      this.log(`Connection failed: ${error.message}`, "error");
+      throw error;
+    }
+  }
 
-      // Get the NUS service
-      const nusService = await this.server.getPrimaryService(NUS_SERVICE_UUID);
-      this.log("Found NUS service", "success");
+  // Connect to the GATT server, discover characteristics and subscribe
+  async connectGatt() {
+    this.log("Connecting to GATT server...", "info");
+    this.server = await this.device.gatt.connect();
 
-      // Get all characteristics
-      const characteristics = await nusService.getCharacteristics();
-      this.log(`Discovered ${characteristics.length} characteristics`, "info");
+    this.log("Connected! Discovering services...", "success");
+    const { characteristics, info } = await this.discoverServices();
+    const detection = ProtocolProfiles.detect(info);
+    const profile = detection.profile;
+    this.protocolProfile = profile;
 
-      // Find and store our characteristics
-      for (const char of characteristics) {
-        const uuid = char.uuid.toLowerCase();
-        this.log(`  Characteristic: ${uuid}`, "info");
+    // Find and store our characteristics
+    const roles = profile.characteristics;
+    this.rxChar = null;
+    this.monitorChar = null;
+    this.propertyChar = null;
+    this.repNotifyChar = null;
+    for (const [uuid, char] of characteristics) {
+      this.log(`  Characteristic: ${uuid}`, "info");
 
-        if (uuid === NUS_RX_CHAR_UUID.toLowerCase()) {
-          this.rxChar = char;
-          this.log("    -> Using as command write characteristic", "success");
-        }
-        if (uuid === MONITOR_CHAR_UUID.toLowerCase()) {
-          this.monitorChar = char;
-          this.log("    -> Tagged monitor polling handle (0x0039)", "success");
-        }
-        if (uuid === PROPERTY_CHAR_UUID.toLowerCase()) {
-          this.propertyChar = char;
-          this.log("    -> Tagged property polling handle (0x003f)", "success");
-        }
-        if (uuid === REP_NOTIFY_CHAR_UUID.toLowerCase()) {
-          this.repNotifyChar = char;
-          this.log("    -> Tagged rep notification handle (0x0036)", "success");
-        }
+      if (uuid === roles.rx.toLowerCase()) {
+        this.rxChar = char;
+        this.log("    -> Using as command write characteristic", "success");
+      }
+      if (uuid === roles.monitor.toLowerCase()) {
+        this.monitorChar = char;
+        this.log("    -> Tagged monitor polling handle (0x0039)", "success");
+      }
+      if (uuid === roles.property.toLowerCase()) {
+        this.propertyChar = char;
+        this.log("    -> Tagged property polling handle (0x003f)", "success");
       }
+      if (uuid === roles.repNotify.toLowerCase()) {
+        this.repNotifyChar = char;
+        this.log("    -> Tagged rep notification handle (0x0036)", "success");
+      }
+    }
+
+    // Responses have to fit the profile too, not just the handles
+    const problems = [...detection.problems];
+    if (this.monitorChar) {
+      problems.push(...(await this.probeMonitorFrame(profile)));
+    }
+    this.protocolDetection = {
+      profile: profile,
+      known: detection.known && problems.length === 0,
+      problems: problems,
+      firmwareRevision: info.firmwareRevision,
+    };
+    this.logProtocolDetection(this.protocolDetection);
+    this.emit("protocol", this.protocolDetection);
+
+    if (!this.rxChar) {
+      throw new Error("RX characteristic not found");
+    }
 
-      if (!this.rxChar) {
-        throw new Error("RX characteristic not found");
+    // Enable core notifications
+    await this.enableCoreNotifications();
+
+    this.isConnected = true;
+    this.emit("connect");
+  }
+
+  // Collect what protocol profiles are recognised by: the services and
+  // characteristics on offer, and the firmware revision if it is exposed
+  async discoverServices() {
+    const characteristics = new Map(); // lowercase UUID -> characteristic
+    const serviceUuids = [];
+
+    for (const serviceUuid of ProtocolProfiles.serviceUuids()) {
+      let service;
+      try {
+        service = await this.server.getPrimaryService(serviceUuid);
+      } catch (error) {
+        continue; // Not offered by this machine
       }
+      serviceUuids.push(serviceUuid);
+      this.log(`Found service ${serviceUuid}`, "success");
 
-      // Enable core notifications
-      await this.enableCoreNotifications();
+      for (const char of await service.getCharacteristics()) {
+        characteristics.set(char.uuid.toLowerCase(), char);
+      }
+    }
+    this.log(`Discovered ${characteristics.size} characteristics`, "info");
+
+    return {
+      characteristics: characteristics,
+      info: {
+        serviceUuids: serviceUuids,
+        characteristicUuids: [...characteristics.keys()],
+        firmwareRevision: await this.readFirmwareRevision(),
+      },
+    };
+  }
 
-      this.isConnected = true;
-      this.log("Device ready!", "success");
+  // Firmware revision string from the Device Information service, or null
+  async readFirmwareRevision() {
+    try {
+      const service = await this.server.getPrimaryService(
+        DEVICE_INFO_SERVICE_UUID,
+      );
+      const char = await service.getCharacteristic(FIRMWARE_REVISION_CHAR_UUID);
+      const value = await char.readValue();
+      const revision = new TextDecoder().decode(value).replace(/\0+$/, "");
+      return revision.trim() || null;
+    } catch (error) {
+      return null; // Not exposed, or not readable
+    }
+  }
 
-      return true;
+  // Read one monitor frame and check its layout against the profile
+  async probeMonitorFrame(profile) {
+    try {
+      const value = await this.queueGattOperation(() =>
+        this.monitorChar.readValue(),
+      );
+      return checkMonitorFrame(profile, new Uint8Array(value.buffer));
     } catch (error) {
-      this.log(`Connection failed: ${error.message}`, "error");
-      throw error;
+      return [`monitor probe failed: ${error.message}`];
+    }
+  }
+
+  logProtocolDetection(detection) {
+    const firmware = detection.firmwareRevision
+      ? ` (firmware ${detection.firmwareRevision})`
+      : "";
+    if (detection.known) {
+      this.log(`Protocol: ${detection.profile.name}${firmware}`, "success");
+      return;
+    }
+    this.log(`WARNING: Unknown machine variant${firmware}`, "error");
+    for (const problem of detection.problems) {
+      this.log(`  - ${problem}`, "error");
+    }
+    this.log(
+      `Falling back to the ${detection.profile.name} protocol; this machine may not understand its frames`,
+      "error",
+    );
+  }
+
+  // Clean up after the link drops, and try to reconnect unless the user asked
+  handleGattDisconnected() {
+    this.handleDisconnect();
+
+    if (this.manualDisconnect) {
+      return;
     }
+
+    this.emit("connectionlost");
+    this.reconnect();
+  }
+
+  // Retry the GATT connection with exponential backoff
+  async reconnect() {
+    if (this.isReconnecting || !this.device) {
+      return false;
+    }
+
+    this.isReconnecting = true;
+
+    for (let attempt = 1; attempt <= this.maxReconnectAttempts; attempt++) {
+      const delay = Math.min(
+        this.reconnectBaseDelay * 2 ** (attempt - 1),
+        this.reconnectMaxDelay,
+      );
+      this.log(
+        `Reconnecting in ${(delay / 1000).toFixed(1)}s (attempt ${attempt}/${this.maxReconnectAttempts})...`,
+        "info",
+      );
+      this.emit("reconnecting", attempt, this.maxReconnectAttempts);
+
+      await this.sleep(delay);
+
+      // User disconnected while we were waiting
+      if (this.manualDisconnect) {
+        this.isReconnecting = false;
+        return false;
+      }
+
+      try {
+        await this.connectGatt();
+        this.isReconnecting = false;
+        this.log("Reconnected!", "success");
+        this.emit("reconnect");
+        return true;
+      } catch (error) {
+        this.log(
+          `Reconnect attempt ${attempt} failed: ${error.message}`,
+          "error",
+        );
+      }
+    }
+
+    this.isReconnecting = false;
+    this.log("Giving up on reconnecting", "error");
+    this.emit("reconnectfailed");
+    return false;
   }
 
   // Enable core BLE notifications
@@ -179,32 +475,27 @@ class VitruvianDevice {
     try {
       this.log("Enabling core BLE subscriptions...", "info");
 
-      // Get NUS service again for notifications
-      const nusService = await this.server.getPrimaryService(NUS_SERVICE_UUID);
-      const characteristics = await nusService.getCharacteristics();
+      // Get the profile's service again for notifications
+      const profile = this.protocolProfile;
+      const service = await this.server.getPrimaryService(profile.serviceUuid);
+      const characteristics = await service.getCharacteristics();
 
       // Enable notifications on all notify characteristics
       for (const char of characteristics) {
         const uuid = char.uuid.toLowerCase();
 
         // Check if this is one of our notify characteristics
-        if (NOTIFY_CHAR_UUIDS.some((u) => u.toLowerCase() === uuid)) {
+        if (profile.notifyUuids.some((u) => u.toLowerCase() === uuid)) {
           this.log(`  Enabling notifications on ${uuid}...`, "info");
 
-          if (uuid === REP_NOTIFY_CHAR_UUID.toLowerCase()) {
-            // Special handler for rep notifications
-            await char.startNotifications();
-            char.addEventListener("characteristicvaluechanged", (event) => {
-              const value = new Uint8Array(event.target.value.buffer);
-              this.log(`[notify rep] ${bytesToHex(value)}`, "info");
-              this.dispatchRepNotification(value);
-            });
-          } else {
-            // Generic handler for other notifications
-            await char.startNotifications();
+          await char.startNotifications();
+
+          // Characteristics can be reused after a reconnect; only listen once
+          if (!this.subscribedChars.has(char)) {
+            this.subscribedChars.add(char);
             char.addEventListener("characteristicvaluechanged", (event) => {
               const value = new Uint8Array(event.target.value.buffer);
-              this.log(`[notify ${uuid}] ${bytesToHex(value)}`, "info");
+              this.handleNotification(uuid, value);
             });
           }
           this.log("    -> Notifications active", "success");
@@ -217,11 +508,44 @@ class VitruvianDevice {
     }
   }
 
+  // Route a notification through its registered decoder, if any
+  handleNotification(uuid, data) {
+    this.recordEvent("notify", uuid, data);
+
+    const decoder = NotifyDecoders.get(uuid);
+
+    if (!decoder) {
+      this.log(`[notify ${uuid}] ${bytesToHex(data)}`, "info");
+      this.dispatchRawNotification(uuid, data);
+      return;
+    }
+
+    this.log(`[notify ${decoder.name}] ${bytesToHex(data)}`, "info");
+
+    let value;
+    try {
+      value = decoder.decode(data);
+    } catch (error) {
+      this.log(`Failed to decode ${decoder.name}: ${error.message}`, "error");
+      this.dispatchRawNotification(uuid, data);
+      return;
+    }
+
+    this.dispatchNotification(decoder.name, value, data);
+  }
+
   // Write to RX characteristic with response
-  async writeWithResponse(label, payload) {
+  async writeWithResponse(label, payload, priority = GattPriority.CONTROL) {
     return this.queueGattOperation(async () => {
       try {
         this.logWriteAttempt(label, payload);
+        this.recordEvent(
+          "write",
+          this.protocolProfile.characteristics.rx,
+          payload,
+          label,
+        );
+        this.dispatchWrite(label, payload);
         await this.rxChar.writeValueWithResponse(payload);
         this.logWriteResult(label, true);
         return true;
@@ -230,14 +554,21 @@ class VitruvianDevice {
         this.log(`Error: ${error.message}`, "error");
         throw error;
       }
-    });
+    }, { priority });
   }
 
   // Write to RX characteristic without response
-  async writeWithoutResponse(label, payload) {
+  async writeWithoutResponse(label, payload, priority = GattPriority.CONTROL) {
     return this.queueGattOperation(async () => {
       try {
         this.logWriteAttempt(label, payload);
+        this.recordEvent(
+          "write",
+          this.protocolProfile.characteristics.rx,
+          payload,
+          label,
+        );
+        this.dispatchWrite(label, payload);
         await this.rxChar.writeValueWithoutResponse(payload);
         this.log(`<- ${label} queued (no response expected)`, "info");
         return true;
@@ -245,7 +576,7 @@ class VitruvianDevice {
         this.log(`Error: ${error.message}`, "error");
         throw error;
       }
-    });
+    }, { priority });
   }
 
   // Send initialization sequence
@@ -253,14 +584,15 @@ class VitruvianDevice {
     this.log("\nSending INIT sequence...", "info");
 
     // Send initial command
-    const initCmd = buildInitCommand();
+    const frames = this.protocolProfile.frames;
+    const initCmd = frames.initCommand();
     await this.writeWithResponse("Init command", initCmd);
 
     // Small delay between commands
     await this.sleep(50);
 
     // Send init preset
-    const initPreset = buildInitPreset();
+    const initPreset = frames.initPreset();
     await this.writeWithResponse("Init preset", initPreset);
 
     this.log("Device initialized and ready!", "success");
@@ -273,16 +605,16 @@ class VitruvianDevice {
     }
 
     this.log("\nSending STOP command...", "info");
-    const cmd = buildInitCommand(); // Stop command is same as init command
+    const cmd = this.protocolProfile.frames.stop();
     await this.writeWithResponse("Stop command", cmd);
     this.log("Workout stopped!", "success");
   }
 
   // Start a workout program
   async startProgram(params) {
-    const frame = buildProgramParams(params);
+    const frame = this.protocolProfile.frames.program(params);
 
-    const modeStr = ProgramModeNames[params.mode];
+    const modeStr = params.profileName || ProgramModeNames[params.mode];
     const unit = params.displayUnit || "kg";
     const perCableDisplay =
       typeof params.perCableDisplay === "number"
@@ -314,7 +646,10 @@ class VitruvianDevice {
       );
     }
 
-    this.log(`Sending program frame (96 bytes): ${bytesToHex(frame)}`, "info");
+    this.log(
+      `Sending program frame (${frame.length} bytes): ${bytesToHex(frame)}`,
+      "info",
+    );
     await this.writeWithResponse("Program params", frame);
     this.log("Program started successfully!", "success");
 
@@ -325,9 +660,9 @@ class VitruvianDevice {
 
   // Start Echo mode
   async startEcho(params) {
-    const frame = buildEchoControl(params);
+    const frame = this.protocolProfile.frames.echo(params);
 
-    const levelStr = EchoLevelNames[params.level];
+    const levelStr = params.levelName || EchoLevelNames[params.level];
     this.log(
       `\nStarting Echo mode: ${levelStr} level, ${params.eccentricPct}% eccentric`,
       "info",
@@ -347,7 +682,7 @@ class VitruvianDevice {
 
   // Set LED color scheme
   async setColorScheme(brightness, colors) {
-    const frame = buildColorScheme(brightness, colors);
+    const frame = this.protocolProfile.frames.colorScheme(brightness, colors);
 
     this.log(
       `\nSetting color scheme: brightness=${brightness.toFixed(2)}`,
@@ -361,13 +696,33 @@ class VitruvianDevice {
     });
 
     this.log(
-      `Sending color scheme frame (34 bytes): ${bytesToHex(frame)}`,
+      `Sending color scheme frame (${frame.length} bytes): ${bytesToHex(frame)}`,
       "info",
     );
-    await this.writeWithResponse("Color scheme", frame);
+    await this.writeWithResponse("Color scheme", frame, GattPriority.NORMAL);
     this.log("Color scheme updated successfully!", "success");
   }
 
+  // Write one LED animation frame. Animations send several frames a second,
+  // so this skips the write log lines and uses the background lane.
+  async writeLedFrame(brightness, colors) {
+    const frame = this.protocolProfile.frames.colorScheme(brightness, colors);
+    return this.queueGattOperation(
+      async () => {
+        this.recordEvent(
+          "write",
+          this.protocolProfile.characteristics.rx,
+          frame,
+          LED_FRAME_LABEL,
+        );
+        this.dispatchWrite(LED_FRAME_LABEL, frame);
+        await this.rxChar.writeValueWithResponse(frame);
+        return true;
+      },
+      { priority: GattPriority.BACKGROUND },
+    );
+  }
+
   // Start property polling (every 500ms) - reads 0x003f for unknown properties
   startPropertyPolling() {
     if (this.propertyInterval) {
@@ -384,8 +739,19 @@ class VitruvianDevice {
 
     this.propertyInterval = setInterval(async () => {
       try {
-        const value = await this.queueGattOperation(() => this.propertyChar.readValue());
+        const value = await this.queueGattOperation(
+          () => this.propertyChar.readValue(),
+          { priority: GattPriority.POLL, key: "property" },
+        );
+        if (!value) {
+          return; // Merged into a read that is already queued
+        }
         const data = new Uint8Array(value.buffer);
+        this.recordEvent(
+          "read",
+          this.protocolProfile.characteristics.property,
+          data,
+        );
         this.dispatchProperty(data);
       } catch (error) {
         // Don't spam errors, just silently continue
@@ -402,7 +768,8 @@ class VitruvianDevice {
     }
   }
 
-  // Start monitor polling (every 100ms) - reads 0x0039 for position/load data
+  // Start monitor polling - reads 0x0039 for position/load data. The interval
+  // starts at 100ms and backs off when reads take longer than the link allows.
   startMonitorPolling() {
     if (this.monitorInterval) {
       this.log("Monitor polling already running", "info");
@@ -415,32 +782,142 @@ class VitruvianDevice {
     }
 
     this.log(
-      "Started monitor polling (0x0039) every 100ms for live stats",
+      `Started monitor polling (0x0039) every ${MONITOR_TARGET_INTERVAL_MS}ms for live stats`,
       "success",
     );
+    this.resetGattQueueStats();
+
+    this.monitorIntervalMs = MONITOR_TARGET_INTERVAL_MS;
+    this.monitorStats = {
+      startTime: Date.now(),
+      endTime: null,
+      samples: 0,
+      late: 0, // Gap since the previous sample exceeded 1.5x the interval
+      dropped: 0, // Reads that failed or were dropped by the GATT queue
+      rttMs: null, // Moving average of read round-trip time
+      lastSampleTime: null,
+    };
+
+    // A read can still be in flight after stop (and a new start); only the
+    // loop of the current run may record samples or schedule the next read
+    const run = ++this.monitorRun;
+    const poll = async () => {
+      const startedAt = Date.now();
+      let rttMs = null;
 
-    this.monitorInterval = setInterval(async () => {
       try {
-        const value = await this.queueGattOperation(() => this.monitorChar.readValue());
-        const data = new Uint8Array(value.buffer);
-        const sample = this.parseMonitorData(data);
-        this.dispatchMonitor(sample);
+        const value = await this.queueGattOperation(
+          async () => {
+            const readStart = Date.now();
+            const result = await this.monitorChar.readValue();
+            rttMs = Date.now() - readStart;
+            return result;
+          },
+          { priority: GattPriority.POLL, key: "monitor" },
+        );
+        if (value && run === this.monitorRun) {
+          const data = new Uint8Array(value.buffer);
+          this.recordEvent(
+            "read",
+            this.protocolProfile.characteristics.monitor,
+            data,
+          );
+          this.recordMonitorSample(rttMs);
+          const sample = this.parseMonitorData(data);
+          this.dispatchMonitor(sample);
+        }
       } catch (error) {
-        // Don't spam errors, just silently continue
+        // Don't spam errors, just count the missing sample
+        if (run === this.monitorRun) {
+          this.monitorStats.dropped++;
+        }
       }
-    }, 100);
+
+      if (run !== this.monitorRun) {
+        return;
+      }
+
+      const elapsed = Date.now() - startedAt;
+      this.monitorInterval = setTimeout(
+        poll,
+        Math.max(0, this.monitorIntervalMs - elapsed),
+      );
+    };
+
+    this.monitorInterval = setTimeout(poll, 0);
+  }
+
+  // Update sampling statistics and adapt the interval to the measured RTT
+  recordMonitorSample(rttMs) {
+    const stats = this.monitorStats;
+    const now = Date.now();
+
+    stats.samples++;
+    if (
+      stats.lastSampleTime !== null &&
+      now - stats.lastSampleTime > this.monitorIntervalMs * 1.5
+    ) {
+      stats.late++;
+    }
+    stats.lastSampleTime = now;
+
+    if (rttMs === null) {
+      return;
+    }
+    stats.rttMs = stats.rttMs === null ? rttMs : stats.rttMs * 0.8 + rttMs * 0.2;
+
+    // Leave headroom for property reads and control writes on the same link
+    const sustainable = Math.ceil((stats.rttMs * 1.5) / 10) * 10;
+    const interval = Math.min(
+      Math.max(sustainable, MONITOR_TARGET_INTERVAL_MS),
+      MONITOR_MAX_INTERVAL_MS,
+    );
+
+    if (Math.abs(interval - this.monitorIntervalMs) >= 20) {
+      this.log(
+        `Monitor polling adjusted to ${interval}ms (read RTT ${stats.rttMs.toFixed(0)}ms)`,
+        "info",
+      );
+      this.monitorIntervalMs = interval;
+    }
+  }
+
+  // Sampling statistics for the current (or last) polling run
+  getMonitorStats() {
+    const stats = this.monitorStats;
+    if (!stats) {
+      return null;
+    }
+
+    const durationMs = (stats.endTime || Date.now()) - stats.startTime;
+    return {
+      samples: stats.samples,
+      late: stats.late,
+      dropped: stats.dropped,
+      intervalMs: this.monitorIntervalMs,
+      rttMs: stats.rttMs,
+      durationMs: durationMs,
+      sampleRateHz: durationMs > 0 ? (stats.samples * 1000) / durationMs : 0,
+    };
   }
 
   // Stop monitor polling
   stopMonitorPolling() {
     if (this.monitorInterval) {
-      clearInterval(this.monitorInterval);
+      clearTimeout(this.monitorInterval);
       this.monitorInterval = null;
-      this.log("Monitor polling stopped", "info");
+      this.monitorRun++;
+      this.monitorStats.endTime = Date.now();
+
+      const stats = this.getMonitorStats();
+      this.log(
+        `Monitor polling stopped (${stats.sampleRateHz.toFixed(1)} Hz effective, ${stats.late} late, ${stats.dropped} dropped)`,
+        "info",
+      );
     }
   }
 
-  // Parse monitor data (0x0039)
+  // Parse monitor data (0x0039) with the profile's parser
   parseMonitorData(data) {
     const sample = {
       timestamp: new Date(),
@@ -452,26 +929,16 @@ class VitruvianDevice {
       raw: data,
     };
 
-    if (data.length < 16) {
+    const fields = this.protocolProfile.parseMonitor(data);
+    if (!fields) {
       return sample;
     }
 
-    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
-
-    // Parse as array of u16 little-endian
-    const f0 = view.getUint16(0, true);
-    const f1 = view.getUint16(2, true);
-    const f2 = view.getUint16(4, true);
-    const f4 = view.getUint16(8, true);
-    const f5 = view.getUint16(10, true);
-    const f7 = view.getUint16(14, true);
-
-    // Reconstruct 32-bit tick counter
-    sample.ticks = f0 + (f1 << 16);
+    sample.ticks = fields.ticks;
 
     // Filter position spikes (> 50000 is invalid)
-    let posA = f2;
-    let posB = f5;
+    let posA = fields.posA;
+    let posB = fields.posB;
     if (posA > 50000) {
       posA = this.lastGoodPosA;
     } else {
@@ -485,64 +952,153 @@ class VitruvianDevice {
 
     sample.posA = posA;
     sample.posB = posB;
-
-    // Load in kg (device sends kg * 100)
-    sample.loadA = f4 / 100.0;
-    sample.loadB = f7 / 100.0;
+    sample.loadA = fields.loadA;
+    sample.loadB = fields.loadB;
 
     return sample;
   }
 
-  // Add listener for property data
+  // Legacy listener helpers; each returns an unsubscribe function
   addPropertyListener(listener) {
-    this.propertyListeners.push(listener);
+    return this.on("property", listener);
   }
 
-  // Add listener for monitor data
   addMonitorListener(listener) {
-    this.monitorListeners.push(listener);
+    return this.on("monitor", listener);
+  }
+
+  addWriteListener(listener) {
+    return this.on("write", listener);
   }
 
-  // Add listener for rep notifications
   addRepListener(listener) {
-    this.repListeners.push(listener);
+    return this.on("rep", listener);
+  }
+
+  addNotificationListener(name, listener) {
+    return this.on(`notification:${name}`, listener);
+  }
+
+  addRawNotificationListener(listener) {
+    return this.on("rawnotification", listener);
   }
 
-  // Dispatch property data to listeners
   dispatchProperty(data) {
-    for (const listener of this.propertyListeners) {
-      try {
-        listener(data);
-      } catch (error) {
-        console.error("Property listener error:", error);
-      }
-    }
+    this.emit("property", data);
   }
 
-  // Dispatch monitor data to listeners
   dispatchMonitor(sample) {
-    for (const listener of this.monitorListeners) {
-      try {
-        listener(sample);
-      } catch (error) {
-        console.error("Monitor listener error:", error);
-      }
+    this.emit("monitor", sample);
+  }
+
+  dispatchWrite(label, payload) {
+    this.emit("write", label, payload);
+  }
+
+  // Rep frames also get their own typed event, since most listeners want them
+  dispatchNotification(name, value, data) {
+    this.emit(`notification:${name}`, value, data);
+    if (name === "rep") {
+      this.emit("rep", data, value);
     }
   }
 
-  // Dispatch rep notification to listeners
-  dispatchRepNotification(data) {
-    for (const listener of this.repListeners) {
-      try {
-        listener(data);
-      } catch (error) {
-        console.error("Rep listener error:", error);
+  dispatchRawNotification(uuid, data) {
+    this.emit("rawnotification", uuid, data);
+  }
+
+  // Start capturing writes, notifications and polled reads
+  startRecording() {
+    this.recorder = new SessionRecorder();
+    this.recorder.start({
+      name: this.device ? this.device.name : null,
+      simulated: this.isSimulated,
+    });
+    this.log("Session recording started", "success");
+  }
+
+  // Stop capturing and return the capture object
+  stopRecording() {
+    if (!this.recorder) {
+      return null;
+    }
+    const capture = this.recorder.toCapture();
+    this.recorder = null;
+    this.log(
+      `Session recording stopped (${capture.events.length} events)`,
+      "success",
+    );
+    return capture;
+  }
+
+  recordEvent(kind, uuid, data, label = null) {
+    if (this.recorder) {
+      this.recorder.record(kind, uuid, data, label);
+    }
+  }
+
+  // Feed a parsed capture back through the listeners with its original timing
+  async replayCapture(capture, options = {}) {
+    if (this.isConnected) {
+      throw new Error("Disconnect from the device before replaying a capture");
+    }
+    if (this.isReplaying) {
+      throw new Error("A replay is already running");
+    }
+
+    const speed = options.speed || 1;
+    this.isReplaying = true;
+    this.lastGoodPosA = 0;
+    this.lastGoodPosB = 0;
+    this.log(
+      `Replaying capture: ${capture.events.length} events from ${capture.startedAt || "unknown time"}`,
+      "success",
+    );
+
+    const startTime = Date.now();
+    for (const event of capture.events) {
+      const wait = event.t / speed - (Date.now() - startTime);
+      if (wait > 0) {
+        await this.sleep(wait);
+      }
+      if (!this.isReplaying) {
+        this.log("Replay stopped", "info");
+        return false;
       }
+      this.replayEvent(event);
+    }
+
+    this.isReplaying = false;
+    this.log("Replay finished", "success");
+    return true;
+  }
+
+  replayEvent(event) {
+    const uuid = event.uuid.toLowerCase();
+    const roles = this.protocolProfile.characteristics;
+
+    if (event.kind === "write") {
+      this.log(
+        `-> [replay] ${event.label || "Write"} (${event.data.length} bytes): ${bytesToHex(event.data)}`,
+        "info",
+      );
+      this.dispatchWrite(event.label || "Write", event.data);
+    } else if (event.kind === "notify") {
+      this.handleNotification(uuid, event.data);
+    } else if (event.kind === "read" && uuid === roles.monitor.toLowerCase()) {
+      this.dispatchMonitor(this.parseMonitorData(event.data));
+    } else if (event.kind === "read" && uuid === roles.property.toLowerCase()) {
+      this.dispatchProperty(event.data);
     }
   }
 
+  stopReplay() {
+    this.isReplaying = false;
+  }
+
   // Handle disconnection
   handleDisconnect() {
+    const wasConnected = this.isConnected;
     this.isConnected = false;
     this.stopPropertyPolling();
     this.stopMonitorPolling();
@@ -550,10 +1106,16 @@ class VitruvianDevice {
     this.monitorChar = null;
     this.propertyChar = null;
     this.repNotifyChar = null;
+
+    // Both the GATT event and disconnect() end up here; only report once
+    if (wasConnected) {
+      this.emit("disconnect", { manual: this.manualDisconnect });
+    }
   }
 
   // Disconnect from device
   async disconnect() {
+    this.manualDisconnect = true;
     if (this.device && this.device.gatt.connected) {
       this.stopPropertyPolling();
       this.stopMonitorPolling();
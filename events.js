@@ -0,0 +1,82 @@
+// events.js - Minimal event emitter for device and add-on listeners
+//
+// on() returns an unsubscribe function, so callers can detach without
+// keeping a reference to the listener:
+//
+//   const off = device.on("monitor", (sample) => { ... });
+//   off();
+
+class EventEmitter {
+  constructor() {
+    this.eventListeners = new Map(); // Event name -> listeners
+  }
+
+  // Add a listener; returns a function that removes it again
+  on(event, listener) {
+    if (typeof listener !== "function") {
+      throw new Error(`Listener for "${event}" must be a function`);
+    }
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(listener);
+    return () => this.off(event, listener);
+  }
+
+  // Remove a listener added with on() or once()
+  off(event, listener) {
+    const listeners = this.eventListeners.get(event);
+    if (!listeners) {
+      return;
+    }
+    const index = listeners.findIndex(
+      (l) => l === listener || l.original === listener,
+    );
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+    if (listeners.length === 0) {
+      this.eventListeners.delete(event);
+    }
+  }
+
+  // Add a listener that removes itself after the first event
+  once(event, listener) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      listener(...args);
+    };
+    wrapper.original = listener;
+    return this.on(event, wrapper);
+  }
+
+  // Call every listener for an event; one failing listener does not stop the rest
+  emit(event, ...args) {
+    const listeners = this.eventListeners.get(event);
+    if (!listeners) {
+      return;
+    }
+    // Copy so listeners can unsubscribe while we iterate
+    for (const listener of [...listeners]) {
+      try {
+        listener(...args);
+      } catch (error) {
+        console.error(`"${event}" listener error:`, error);
+      }
+    }
+  }
+
+  listenerCount(event) {
+    const listeners = this.eventListeners.get(event);
+    return listeners ? listeners.length : 0;
+  }
+
+  // Remove all listeners for one event, or for every event
+  removeAllListeners(event) {
+    if (event === undefined) {
+      this.eventListeners.clear();
+    } else {
+      this.eventListeners.delete(event);
+    }
+  }
+}
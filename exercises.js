@@ -0,0 +1,37 @@
+// exercises.js - Exercise library for tagging sets
+//
+// Built-in exercises are keyed by a short id. User-defined ones are saved in
+// a PresetStore ("vitruvian.exercises") and picked as "custom:<id>", like
+// custom mode profiles. A tagged set keeps { id, name }, so its history
+// entry still reads right after a custom exercise is deleted.
+
+const BuiltInExercises = {
+  squat: "Squat",
+  deadlift: "Deadlift",
+  rdl: "Romanian Deadlift",
+  bench: "Bench Press",
+  ohp: "Overhead Press",
+  row: "Row",
+  curl: "Biceps Curl",
+  triceps: "Triceps Extension",
+  lateral: "Lateral Raise",
+  lunge: "Lunge",
+};
+
+// Group sets by exercise. workouts are newest first, so exercises come out
+// most recently trained first, named as they were last tagged; untagged sets
+// come last. Returns [{ exercise, indexes }], indexes into workouts.
+function groupWorkoutsByExercise(workouts) {
+  const groups = new Map();
+  workouts.forEach((workout, index) => {
+    const key = workout.exercise ? workout.exercise.id : null;
+    if (!groups.has(key)) {
+      groups.set(key, { exercise: workout.exercise || null, indexes: [] });
+    }
+    groups.get(key).indexes.push(index);
+  });
+  const list = [...groups.values()];
+  return list
+    .filter((group) => group.exercise)
+    .concat(list.filter((group) => !group.exercise));
+}
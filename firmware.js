@@ -0,0 +1,139 @@
+// firmware.js - Protocol profiles for machine variants and firmware versions
+//
+// A profile bundles everything that depends on the firmware: the service and
+// characteristic UUIDs, the frame builders and the monitor parser.
+// VitruvianDevice picks one on every connect, from the services and
+// characteristics it discovers, the firmware revision string (when the
+// Device Information service is exposed) and a probe of the monitor frame.
+// A new firmware that changes the frame format gets its own profile instead
+// of edits all over device.js:
+//
+//   const v1 = ProtocolProfiles.get("trainer-v1");
+//   ProtocolProfiles.register({
+//     ...v1,
+//     id: "trainer-v2",
+//     name: "Trainer+ (firmware 2.x)",
+//     firmware: /^2\./,
+//     frames: { ...v1.frames, program: buildProgramParamsV2 },
+//   });
+
+const DEVICE_INFO_SERVICE_UUID = "0000180a-0000-1000-8000-00805f9b34fb";
+const FIRMWARE_REVISION_CHAR_UUID = "00002a26-0000-1000-8000-00805f9b34fb";
+
+class ProtocolProfileRegistry {
+  constructor() {
+    this.profiles = []; // Checked newest first, so specific profiles win
+  }
+
+  register(profile) {
+    const required = ["id", "name", "serviceUuid", "characteristics", "frames"];
+    for (const key of required) {
+      if (!profile[key]) {
+        throw new Error(`A protocol profile needs "${key}"`);
+      }
+    }
+    if (typeof profile.parseMonitor !== "function") {
+      throw new Error("A protocol profile needs a parseMonitor function");
+    }
+    this.profiles = this.profiles.filter((p) => p.id !== profile.id);
+    this.profiles.push(profile);
+  }
+
+  get(id) {
+    return this.profiles.find((profile) => profile.id === id) || null;
+  }
+
+  list() {
+    return this.profiles;
+  }
+
+  // The profile assumed before detection, and when nothing matches
+  getDefault() {
+    return this.profiles[0];
+  }
+
+  // Services to ask the browser for access to
+  serviceUuids() {
+    return [...new Set(this.profiles.map((profile) => profile.serviceUuid))];
+  }
+
+  // Why a profile does not fit what was discovered; empty when it does
+  findMismatches(profile, info) {
+    const mismatches = [];
+    if (!info.serviceUuids.includes(profile.serviceUuid)) {
+      mismatches.push(`service ${profile.serviceUuid} not found`);
+      return mismatches;
+    }
+
+    const found = new Set(info.characteristicUuids);
+    for (const [role, uuid] of Object.entries(profile.characteristics)) {
+      if (!found.has(uuid.toLowerCase())) {
+        mismatches.push(`${role} characteristic ${uuid} not found`);
+      }
+    }
+
+    if (profile.firmware) {
+      if (!info.firmwareRevision) {
+        mismatches.push("firmware revision unavailable");
+      } else if (!profile.firmware.test(info.firmwareRevision)) {
+        mismatches.push(`firmware ${info.firmwareRevision} not supported`);
+      }
+    }
+    return mismatches;
+  }
+
+  // Pick the profile for a connected machine.
+  // info: { serviceUuids, characteristicUuids, firmwareRevision }
+  // Returns { profile, known, problems }. When nothing matches, the default
+  // profile is returned with known = false and what did not fit.
+  detect(info) {
+    for (const profile of [...this.profiles].reverse()) {
+      if (this.findMismatches(profile, info).length === 0) {
+        return { profile: profile, known: true, problems: [] };
+      }
+    }
+    const fallback = this.getDefault();
+    return {
+      profile: fallback,
+      known: false,
+      problems: this.findMismatches(fallback, info),
+    };
+  }
+}
+
+// Check a probed monitor frame against what the profile expects
+function checkMonitorFrame(profile, data) {
+  if (data.length < profile.monitorFrameLength) {
+    return [
+      `monitor frames are ${data.length} bytes, expected at least ${profile.monitorFrameLength}`,
+    ];
+  }
+  return [];
+}
+
+const ProtocolProfiles = new ProtocolProfileRegistry();
+
+// The layout everything in protocol.js was reverse-engineered from
+ProtocolProfiles.register({
+  id: "trainer-v1",
+  name: "Trainer+ (96-byte program frame)",
+  serviceUuid: NUS_SERVICE_UUID,
+  characteristics: {
+    rx: NUS_RX_CHAR_UUID,
+    monitor: MONITOR_CHAR_UUID,
+    property: PROPERTY_CHAR_UUID,
+    repNotify: REP_NOTIFY_CHAR_UUID,
+  },
+  notifyUuids: NOTIFY_CHAR_UUIDS,
+  firmware: null, // Any firmware revision, or none reported
+  monitorFrameLength: 16,
+  frames: {
+    initCommand: buildInitCommand,
+    initPreset: buildInitPreset,
+    stop: buildInitCommand, // Stop command is same as init command
+    program: buildProgramParams,
+    echo: buildEchoControl,
+    colorScheme: buildColorScheme,
+  },
+  parseMonitor: parseMonitorFrame,
+});
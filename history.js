@@ -0,0 +1,102 @@
+// history.js - Workout history kept in IndexedDB
+//
+// Every completed set is saved as two records: its metadata in "workouts"
+// (what the history list shows, rep events included) and its monitor samples
+// in "samples", keyed by the workout id. Samples are only read when a set is
+// opened on the chart, so listing a long training log stays cheap.
+
+const HISTORY_DB_NAME = "vitruvian.history";
+const HISTORY_DB_VERSION = 1;
+
+// Resolve with an IDBRequest's result
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+class WorkoutHistoryStore {
+  constructor(dbName = HISTORY_DB_NAME) {
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  // False in browsers without IndexedDB (and some private windows)
+  isAvailable() {
+    return typeof window !== "undefined" && !!window.indexedDB;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(this.dbName, HISTORY_DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          const workouts = db.createObjectStore("workouts", {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+          workouts.createIndex("startTime", "startTime");
+          db.createObjectStore("samples", { keyPath: "workoutId" });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Let the next call try again instead of failing forever
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Save a completed set and its samples together. Resolves to the new id.
+  async add(workout, samples) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(["workouts", "samples"], "readwrite");
+      const request = transaction.objectStore("workouts").add(workout);
+      request.onsuccess = () => {
+        transaction.objectStore("samples").put({
+          workoutId: request.result,
+          samples: samples,
+        });
+      };
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  // Save changes to a set's metadata, such as its exercise tag
+  async update(workout) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction("workouts", "readwrite");
+      transaction.objectStore("workouts").put(workout);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  // Every saved set, newest first, without samples
+  async list() {
+    const db = await this.open();
+    const index = db
+      .transaction("workouts")
+      .objectStore("workouts")
+      .index("startTime");
+    const workouts = await promisifyRequest(index.getAll());
+    return workouts.reverse();
+  }
+
+  // Monitor samples of one saved set ([] when none were kept)
+  async getSamples(workoutId) {
+    const db = await this.open();
+    const store = db.transaction("samples").objectStore("samples");
+    const record = await promisifyRequest(store.get(workoutId));
+    return record ? record.samples : [];
+  }
+}
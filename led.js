@@ -0,0 +1,394 @@
+// led.js - LED ring animations built from color scheme frames
+//
+// A sequence is plain data, so users can write their own:
+//
+//   {
+//     name: "Breathe",
+//     loop: true,
+//     steps: [
+//       { brightness: 0.05, fadeMs: 1500, ease: "smooth" },
+//       { brightness: 0.6, fadeMs: 1500, holdMs: 200, ease: "smooth" },
+//     ],
+//   }
+//
+// Each step fades from the previous state to its own over fadeMs, then holds
+// it for holdMs. A step without colors or brightness keeps the previous
+// value; the first step starts from the animator's base scheme (the colors
+// the user picked). When a sequence ends or is stopped, the base scheme is
+// restored.
+
+const LED_FRAME_INTERVAL_MS = 100; // Default time between animation frames
+const LED_MIN_FRAME_INTERVAL_MS = 100; // Never write LED frames faster than this
+const LED_MAX_STEPS = 100;
+const LED_MAX_STEP_MS = 60000;
+
+const LedEasing = {
+  linear: (t) => t,
+  smooth: (t) => (1 - Math.cos(Math.PI * t)) / 2,
+};
+
+const LedColors = {
+  white: { r: 0xff, g: 0xff, b: 0xff },
+  red: { r: 0xff, g: 0x00, b: 0x00 },
+  green: { r: 0x00, g: 0xff, b: 0x00 },
+  blue: { r: 0x00, g: 0x00, b: 0xff },
+};
+
+// Built-in sequences
+const LedSequences = {
+  breathe: {
+    name: "Breathe",
+    loop: true,
+    steps: [
+      { brightness: 0.05, fadeMs: 1500, holdMs: 200, ease: "smooth" },
+      { brightness: 0.6, fadeMs: 1500, holdMs: 200, ease: "smooth" },
+    ],
+  },
+  pulse: {
+    name: "Pulse",
+    loop: true,
+    steps: [
+      { brightness: 1, fadeMs: 100, holdMs: 100 },
+      { brightness: 0.05, fadeMs: 500, holdMs: 300 },
+    ],
+  },
+  rainbow: {
+    name: "Rainbow",
+    loop: true,
+    steps: [
+      {
+        colors: [LedColors.red, LedColors.green, LedColors.blue],
+        fadeMs: 1000,
+        holdMs: 500,
+      },
+      {
+        colors: [LedColors.green, LedColors.blue, LedColors.red],
+        fadeMs: 1000,
+        holdMs: 500,
+      },
+      {
+        colors: [LedColors.blue, LedColors.red, LedColors.green],
+        fadeMs: 1000,
+        holdMs: 500,
+      },
+    ],
+  },
+  countdown: {
+    name: "Countdown (3-2-1)",
+    loop: false,
+    steps: [
+      {
+        colors: [LedColors.white, LedColors.white, LedColors.white],
+        brightness: 1,
+        holdMs: 300,
+      },
+      { brightness: 0.05, fadeMs: 700 },
+      { brightness: 1, holdMs: 300 },
+      { brightness: 0.05, fadeMs: 700 },
+      { brightness: 1, holdMs: 300 },
+      { brightness: 0.05, fadeMs: 700 },
+      {
+        colors: [LedColors.green, LedColors.green, LedColors.green],
+        brightness: 1,
+        holdMs: 1000,
+      },
+    ],
+  },
+  rest: {
+    name: "Rest",
+    loop: true,
+    steps: [
+      {
+        colors: [LedColors.blue, LedColors.blue, LedColors.blue],
+        brightness: 0.05,
+        fadeMs: 3000,
+        ease: "smooth",
+      },
+      { brightness: 0.3, fadeMs: 3000, ease: "smooth" },
+    ],
+  },
+};
+
+// Workout phases that can each get their own colors. scheme is the default:
+// a PredefinedColorSchemes key, or "" for the user's own color scheme.
+const LedPhases = [
+  { key: "idle", label: "Idle", scheme: "" },
+  { key: "warmup", label: "Warmup", scheme: "yellow" },
+  { key: "working", label: "Working", scheme: "green" },
+  { key: "finalRep", label: "Final rep", scheme: "purple" },
+  { key: "autoStop", label: "Auto-stop countdown", scheme: "red" },
+  { key: "complete", label: "Set complete", scheme: "blue" },
+];
+
+function validateStepDuration(field, value) {
+  if (value === undefined) {
+    return;
+  }
+  if (!Number.isFinite(value) || value < 0 || value > LED_MAX_STEP_MS) {
+    throw new Error(`${field} must be between 0 and ${LED_MAX_STEP_MS} ms`);
+  }
+}
+
+// Check a sequence before playing or saving it; throws on the first problem.
+// Colors and brightness go through validateColorScheme(), so they fail with
+// a ProtocolValidationError like any other frame parameter.
+function validateLedSequence(sequence) {
+  if (!sequence || typeof sequence !== "object") {
+    throw new Error("A sequence must be an object");
+  }
+  const steps = sequence.steps;
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error("A sequence needs at least one step");
+  }
+  if (steps.length > LED_MAX_STEPS) {
+    throw new Error(`A sequence can have at most ${LED_MAX_STEPS} steps`);
+  }
+
+  let totalMs = 0;
+  steps.forEach((step, i) => {
+    if (!step || typeof step !== "object") {
+      throw new Error(`steps[${i}] must be an object`);
+    }
+    validateStepDuration(`steps[${i}].fadeMs`, step.fadeMs);
+    validateStepDuration(`steps[${i}].holdMs`, step.holdMs);
+    if (step.ease !== undefined && !LedEasing[step.ease]) {
+      throw new Error(
+        `steps[${i}].ease must be one of: ${Object.keys(LedEasing).join(", ")}`,
+      );
+    }
+    // Fill in whatever the step leaves out; only the given values matter
+    validateColorScheme(
+      step.brightness !== undefined ? step.brightness : 0,
+      step.colors !== undefined
+        ? step.colors
+        : [LedColors.white, LedColors.white, LedColors.white],
+    );
+    totalMs += (step.fadeMs || 0) + (step.holdMs || 0);
+  });
+
+  if (sequence.loop && totalMs === 0) {
+    throw new Error("A looping sequence needs a fade or hold time");
+  }
+}
+
+function mixLedState(from, to, t) {
+  const mix = (a, b) => Math.round(a + (b - a) * t);
+  return {
+    brightness:
+      Math.round(
+        (from.brightness + (to.brightness - from.brightness) * t) * 100,
+      ) / 100,
+    colors: from.colors.map((color, i) => ({
+      r: mix(color.r, to.colors[i].r),
+      g: mix(color.g, to.colors[i].g),
+      b: mix(color.b, to.colors[i].b),
+    })),
+  };
+}
+
+// One pass over the steps: the state at elapsedMs, or the end state with
+// remainingMs when the pass is over
+function walkLedSteps(steps, elapsedMs, start) {
+  let previous = start;
+  let remaining = elapsedMs;
+
+  for (const step of steps) {
+    const target = {
+      brightness:
+        step.brightness !== undefined ? step.brightness : previous.brightness,
+      colors: step.colors !== undefined ? step.colors : previous.colors,
+    };
+    const fadeMs = step.fadeMs || 0;
+    const holdMs = step.holdMs || 0;
+
+    if (remaining < fadeMs) {
+      const ease = LedEasing[step.ease || "linear"];
+      return { state: mixLedState(previous, target, ease(remaining / fadeMs)) };
+    }
+    remaining -= fadeMs;
+    if (remaining < holdMs) {
+      return { state: target };
+    }
+    remaining -= holdMs;
+    previous = target;
+  }
+
+  return { state: previous, remainingMs: remaining };
+}
+
+// The frame to show elapsedMs into a sequence that starts from `start`
+// ({ brightness, colors }). Returns { brightness, colors, done }.
+function getLedFrame(sequence, elapsedMs, start) {
+  const first = walkLedSteps(sequence.steps, elapsedMs, start);
+  if (first.remainingMs === undefined) {
+    return { ...first.state, done: false };
+  }
+  if (!sequence.loop) {
+    return { ...first.state, done: true };
+  }
+
+  // Later passes start from where the first one ended
+  const loopStart = first.state;
+  const totalMs = elapsedMs - first.remainingMs;
+  const next = walkLedSteps(
+    sequence.steps,
+    first.remainingMs % totalMs,
+    loopStart,
+  );
+  return { ...next.state, done: false };
+}
+
+// Plays sequences on a device's LED ring.
+//
+// Frames go out through device.writeLedFrame(), which uses the background
+// lane of the GATT queue, so monitor and property polling always run first.
+// At most one frame is in flight: if the link is slow, in-between frames are
+// skipped and only the latest one is sent.
+//
+// Events: start (sequence), stop (sequence, { completed }), error (error)
+class LedAnimator extends EventEmitter {
+  constructor(device, options = {}) {
+    super();
+    this.device = device;
+    this.frameIntervalMs = Math.max(
+      options.frameIntervalMs || LED_FRAME_INTERVAL_MS,
+      LED_MIN_FRAME_INTERVAL_MS,
+    );
+    this.base = {
+      brightness: PredefinedColorSchemes.blue.brightness,
+      colors: PredefinedColorSchemes.blue.colors,
+    };
+    this.sequence = null; // Sequence being played
+    this.startedAt = 0;
+    this.timer = null;
+    this.inFlight = null; // Promise for the frame being written
+    this.pendingFrame = null; // Latest frame waiting for the write to finish
+    this.lastFrameKey = null;
+  }
+
+  get isPlaying() {
+    return this.sequence !== null;
+  }
+
+  setDevice(device) {
+    this.device = device;
+  }
+
+  // The scheme that sequences start from and return to
+  setBaseScheme(brightness, colors) {
+    this.base = { brightness, colors };
+  }
+
+  // Stop any sequence and show a fixed scheme
+  async show(brightness, colors) {
+    await this.stop({ restore: false });
+    await this.device.writeLedFrame(brightness, colors);
+  }
+
+  async play(sequence) {
+    validateLedSequence(sequence);
+    await this.stop({ restore: false });
+
+    this.sequence = sequence;
+    this.startedAt = Date.now();
+    this.lastFrameKey = null;
+    this.emit("start", sequence);
+    this.tick();
+  }
+
+  // Stop the current sequence. Waits for the frame in flight, so a color
+  // scheme written afterwards is not overwritten by a late animation frame.
+  async stop(options = {}) {
+    const restore = options.restore !== undefined ? options.restore : true;
+    if (!this.sequence) {
+      return;
+    }
+    this.finish(false);
+    await this.settle();
+    if (restore) {
+      await this.writeBase();
+    }
+  }
+
+  finish(completed) {
+    const sequence = this.sequence;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.sequence = null;
+    this.pendingFrame = null;
+    this.emit("stop", sequence, { completed });
+  }
+
+  async settle() {
+    while (this.inFlight) {
+      await this.inFlight;
+    }
+  }
+
+  async writeBase() {
+    await this.writeScheme(this.base);
+  }
+
+  async writeScheme({ brightness, colors }) {
+    try {
+      await this.device.writeLedFrame(brightness, colors);
+    } catch (error) {
+      this.emit("error", error);
+    }
+  }
+
+  tick() {
+    this.timer = null;
+    if (!this.sequence) {
+      return;
+    }
+
+    const frame = getLedFrame(
+      this.sequence,
+      Date.now() - this.startedAt,
+      this.base,
+    );
+    this.sendFrame(frame);
+
+    if (frame.done) {
+      // finish() drops a frame still waiting on the write in flight; the
+      // final one has to go out, or the sequence ends on an earlier frame
+      const last = this.pendingFrame;
+      this.finish(true);
+      this.settle()
+        .then(() => last && this.writeScheme(last))
+        .then(() => this.writeBase());
+      return;
+    }
+    this.timer = setTimeout(() => this.tick(), this.frameIntervalMs);
+  }
+
+  sendFrame(frame) {
+    const key = JSON.stringify([frame.brightness, frame.colors]);
+    if (key === this.lastFrameKey) {
+      return; // Nothing changed (e.g. during a hold)
+    }
+    if (this.inFlight) {
+      this.pendingFrame = frame;
+      return;
+    }
+
+    this.lastFrameKey = key;
+    this.inFlight = this.device
+      .writeLedFrame(frame.brightness, frame.colors)
+      .catch((error) => {
+        this.emit("error", error);
+        if (this.sequence) {
+          this.finish(false);
+        }
+      })
+      .finally(() => {
+        this.inFlight = null;
+        const next = this.pendingFrame;
+        this.pendingFrame = null;
+        if (next && this.sequence) {
+          this.sendFrame(next);
+        }
+      });
+  }
+}
@@ -83,6 +83,26 @@ function getEchoParams(level, eccentricPct) {
   return params;
 }
 
+// Echo control fields a custom Echo level can set. The eccentric percentage
+// is chosen per set, so it is not part of a level.
+const EchoLevelFields = [
+  { key: "concentricPct", type: "u16" },
+  { key: "smoothing", type: "f32" },
+  { key: "gain", type: "f32" },
+  { key: "cap", type: "f32" },
+  { key: "floor", type: "f32" },
+  { key: "negLimit", type: "f32" },
+];
+
+// Echo parameters for a custom level; same shape as getEchoParams()
+function getCustomEchoParams(values, eccentricPct) {
+  const params = { level: null, eccentricPct: eccentricPct };
+  for (const field of EchoLevelFields) {
+    params[field.key] = values[field.key];
+  }
+  return params;
+}
+
 // Get mode profile block for program modes (32 bytes)
 function getModeProfile(mode) {
   const buffer = new ArrayBuffer(32);
@@ -168,6 +188,70 @@ function getModeProfile(mode) {
   return data;
 }
 
+// Field layout of the 32-byte mode profile block. What each field does is
+// not known yet, so keys just name the type and offset.
+const ModeProfileFields = [
+  { key: "u16_00", offset: 0x00, type: "u16" },
+  { key: "u16_02", offset: 0x02, type: "u16" },
+  { key: "f32_04", offset: 0x04, type: "f32" },
+  { key: "u16_08", offset: 0x08, type: "u16" },
+  { key: "u16_0a", offset: 0x0a, type: "u16" },
+  { key: "f32_0c", offset: 0x0c, type: "f32" },
+  { key: "i16_10", offset: 0x10, type: "i16" },
+  { key: "i16_12", offset: 0x12, type: "i16" },
+  { key: "f32_14", offset: 0x14, type: "f32" },
+  { key: "i16_18", offset: 0x18, type: "i16" },
+  { key: "i16_1a", offset: 0x1a, type: "i16" },
+  { key: "f32_1c", offset: 0x1c, type: "f32" },
+];
+
+// Read a profile block into { u16_00: 0, u16_02: 20, f32_04: 3, ... }
+function decodeModeProfile(profile) {
+  const view = new DataView(
+    profile.buffer,
+    profile.byteOffset,
+    profile.byteLength,
+  );
+  const values = {};
+  for (const field of ModeProfileFields) {
+    switch (field.type) {
+      case "u16":
+        values[field.key] = view.getUint16(field.offset, true);
+        break;
+      case "i16":
+        values[field.key] = view.getInt16(field.offset, true);
+        break;
+      case "f32":
+        // Round away float32 noise (0.1 -> 0.10000000149011612)
+        values[field.key] = parseFloat(
+          view.getFloat32(field.offset, true).toPrecision(7),
+        );
+        break;
+    }
+  }
+  return values;
+}
+
+// Build a 32-byte profile block from decodeModeProfile()-style values
+function encodeModeProfile(values) {
+  const buffer = new ArrayBuffer(32);
+  for (const field of ModeProfileFields) {
+    const value = values[field.key];
+    switch (field.type) {
+      case "u16":
+        writeU16LE(buffer, field.offset, value);
+        break;
+      case "i16":
+        writeI16LE(buffer, field.offset, value);
+        break;
+      case "f32":
+        writeF32LE(buffer, field.offset, value);
+        break;
+    }
+  }
+  return new Uint8Array(buffer);
+}
+
 // Predefined color schemes (from real app)
 const PredefinedColorSchemes = {
   blue: {
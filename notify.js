@@ -0,0 +1,75 @@
+// notify.js - Decoder registry for notify characteristics
+//
+// Each notify characteristic UUID can have a named decoder. VitruvianDevice
+// runs the decoder on every notification and dispatches the result to
+// listeners registered for that name; notifications from UUIDs without a
+// decoder go to the raw listeners instead. New channels can be decoded from
+// outside device.js:
+//
+//   NotifyDecoders.register("c7b73007-b245-4503-a1ed-9e4e97eb9802", {
+//     name: "deviceStatus",
+//     decode: (data) => ({ state: data[0] }),
+//   });
+//   device.on("notification:deviceStatus", (status) => { ... });
+
+class NotifyDecoderRegistry {
+  constructor() {
+    this.decoders = new Map(); // lowercase UUID -> { uuid, name, decode }
+  }
+
+  register(uuid, { name, decode }) {
+    if (!name || typeof decode !== "function") {
+      throw new Error("A notify decoder needs a name and a decode function");
+    }
+    const key = uuid.toLowerCase();
+    this.decoders.set(key, { uuid: key, name: name, decode: decode });
+  }
+
+  unregister(uuid) {
+    this.decoders.delete(uuid.toLowerCase());
+  }
+
+  get(uuid) {
+    return this.decoders.get(uuid.toLowerCase()) || null;
+  }
+
+  // Find the UUID registered under a decoder name
+  findByName(name) {
+    for (const decoder of this.decoders.values()) {
+      if (decoder.name === name) {
+        return decoder;
+      }
+    }
+    return null;
+  }
+}
+
+// Split a notification into little-endian u16 words
+function decodeU16Words(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const words = [];
+  for (let i = 0; i + 1 < data.length; i += 2) {
+    words.push(view.getUint16(i, true));
+  }
+  return words;
+}
+
+// Rep notifications (0x0036): u16[0] counts tops, u16[2] counts completed reps
+function decodeRepNotification(data) {
+  const words = decodeU16Words(data);
+  if (words.length < 3) {
+    return null;
+  }
+  return {
+    topCounter: words[0],
+    completeCounter: words[2],
+    words: words,
+  };
+}
+
+const NotifyDecoders = new NotifyDecoderRegistry();
+
+NotifyDecoders.register(REP_NOTIFY_CHAR_UUID, {
+  name: "rep",
+  decode: decodeRepNotification,
+});
@@ -0,0 +1,77 @@
+// presets.js - Named user presets saved in localStorage
+//
+// Each preset is { id, name, values, ... }: the edited field values plus
+// whatever the caller stores alongside, such as the built-in it started
+// from. Used for custom mode profiles, Echo levels, routines, LED sequences
+// and color schemes.
+
+class PresetStore {
+  constructor(storageKey) {
+    this.storageKey = storageKey;
+    this.presets = this.load();
+  }
+
+  load() {
+    if (typeof window === "undefined" || !window.localStorage) {
+      return [];
+    }
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      const parsed = stored ? JSON.parse(stored) : [];
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      console.warn(`Could not load ${this.storageKey}:`, error);
+      return [];
+    }
+  }
+
+  save() {
+    if (typeof window === "undefined" || !window.localStorage) {
+      return;
+    }
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.presets));
+    } catch (error) {
+      // Ignore storage errors (e.g., private browsing).
+    }
+  }
+
+  list() {
+    return this.presets;
+  }
+
+  get(id) {
+    return this.presets.find((preset) => preset.id === id) || null;
+  }
+
+  // Insert or update a preset; returns the stored copy
+  put(preset) {
+    const trimmedName = (preset.name || "").trim();
+    if (!trimmedName) {
+      throw new Error("Preset name is required");
+    }
+
+    const stored = {
+      ...preset,
+      id:
+        preset.id ||
+        `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name: trimmedName,
+      values: { ...preset.values },
+    };
+
+    const index = this.presets.findIndex((p) => p.id === stored.id);
+    if (index === -1) {
+      this.presets.push(stored);
+    } else {
+      this.presets[index] = stored;
+    }
+    this.save();
+    return stored;
+  }
+
+  remove(id) {
+    this.presets = this.presets.filter((preset) => preset.id !== id);
+    this.save();
+  }
+}
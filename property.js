@@ -0,0 +1,110 @@
+// property.js - Decoder for the property characteristic (0x003f)
+//
+// FieldTypes and readFieldValue() come from protocol.js, which reads
+// its own frames with them.
+
+// Turns property frames into named fields using a user-editable field map,
+// and tracks which bytes nobody has labeled yet change between frames.
+class PropertyDecoder {
+  constructor(fields = []) {
+    this.fields = [];
+    this.previous = null;
+    this.changeCounts = []; // How often each byte offset has changed
+    this.setFields(fields);
+  }
+
+  setFields(fields) {
+    this.fields = [];
+    for (const field of fields) {
+      try {
+        this.addField(field);
+      } catch (error) {
+        console.warn("Skipping invalid property field:", error.message);
+      }
+    }
+  }
+
+  // Label a field; replaces any existing field with the same name
+  addField({ name, offset, type }) {
+    const trimmedName = (name || "").trim();
+    if (!trimmedName) {
+      throw new Error("Field name is required");
+    }
+    if (!FieldTypes[type]) {
+      throw new Error(`Unknown field type: ${type}`);
+    }
+    if (offset === undefined) {
+      throw new Error("Field offset is required");
+    }
+    if (!Number.isInteger(offset) || offset < 0 || offset > 0xff) {
+      throw new Error(`Invalid field offset: ${offset}`);
+    }
+
+    this.removeField(trimmedName);
+    this.fields.push({ name: trimmedName, offset: offset, type: type });
+    this.fields.sort((a, b) => a.offset - b.offset);
+  }
+
+  removeField(name) {
+    this.fields = this.fields.filter((field) => field.name !== name);
+  }
+
+  // Check whether a byte offset is covered by a labeled field
+  isLabeled(offset) {
+    return this.fields.some(
+      (field) =>
+        offset >= field.offset &&
+        offset < field.offset + FieldTypes[field.type],
+    );
+  }
+
+  // Decode a frame into labeled fields plus per-byte change tracking.
+  // Pass track = false to re-render a frame without counting it as new.
+  decode(data, track = true) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+    const fields = this.fields.map((field) => {
+      const fits = field.offset + FieldTypes[field.type] <= data.length;
+      return {
+        ...field,
+        value: fits ? readFieldValue(view, field.offset, field.type) : null,
+      };
+    });
+
+    const bytes = [];
+    for (let offset = 0; offset < data.length; offset++) {
+      const changed =
+        track &&
+        this.previous !== null &&
+        offset < this.previous.length &&
+        this.previous[offset] !== data[offset];
+      if (changed) {
+        this.changeCounts[offset] = (this.changeCounts[offset] || 0) + 1;
+      }
+      bytes.push({
+        offset: offset,
+        value: data[offset],
+        labeled: this.isLabeled(offset),
+        changed: changed,
+        changeCount: this.changeCounts[offset] || 0,
+      });
+    }
+
+    if (track) {
+      this.previous = Uint8Array.from(data);
+    }
+
+    return {
+      fields: fields,
+      bytes: bytes,
+      unknownChanging: bytes.filter((b) => !b.labeled && b.changeCount > 0)
+        .length,
+    };
+  }
+
+  // Forget change history (e.g. when a new device connects)
+  reset() {
+    this.previous = null;
+    this.changeCounts = [];
+  }
+}
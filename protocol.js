@@ -1,4 +1,197 @@
-// protocol.js - BLE protocol frame builders
+// protocol.js - BLE protocol frame builders and parsers
+
+// Warmup (calibration) reps used when params.warmupReps is not given
+const DEFAULT_WARMUP_REPS = 3;
+
+// Hard limits checked before any frame is built. The form uses the same
+// limits, so scripts calling the device directly get identical checks.
+const ProtocolLimits = {
+  perCableKg: { min: 0, max: 100 },
+  effectiveKg: { min: 0, max: 110 }, // perCableKg + 10
+  progressionKg: { min: -3, max: 3 },
+  reps: { min: 1, max: 100 }, // Sent as reps + warmup; must stay below 0xff (Just Lift)
+  warmupReps: { min: 0, max: 10 },
+  echoTargetReps: { min: 0, max: 30 },
+  eccentricPct: { min: 0, max: 150 },
+  brightness: { min: 0, max: 1 },
+  colorChannel: { min: 0, max: 255 },
+  // Custom Echo level fields
+  concentricPct: { min: 0, max: 150 },
+  smoothing: { min: 0, max: 1 },
+  gain: { min: 0, max: 10 },
+  cap: { min: 0, max: 100 },
+  floor: { min: 0, max: 100 },
+  negLimit: { min: -1000, max: 0 },
+  // Mode profile fields, by type
+  u16: { min: 0, max: 0xffff },
+  i16: { min: -0x8000, max: 0x7fff },
+  f32: { min: -100000, max: 100000 },
+};
+
+// Error codes carried by ProtocolValidationError
+const ValidationCode = {
+  MISSING: "MISSING",
+  NOT_FINITE: "NOT_FINITE",
+  NOT_INTEGER: "NOT_INTEGER",
+  OUT_OF_RANGE: "OUT_OF_RANGE",
+  UNKNOWN_MODE: "UNKNOWN_MODE",
+  UNKNOWN_LEVEL: "UNKNOWN_LEVEL",
+  INVALID_COLORS: "INVALID_COLORS",
+  INVALID_PROFILE: "INVALID_PROFILE",
+  INVALID_LEVEL: "INVALID_LEVEL",
+};
+
+class ProtocolValidationError extends Error {
+  constructor(code, field, message) {
+    super(message);
+    this.name = "ProtocolValidationError";
+    this.code = code; // One of ValidationCode
+    this.field = field; // Name of the offending parameter
+  }
+}
+
+// Check a number against ProtocolLimits[limitName]
+function validateNumber(field, value, limitName, { integer = false } = {}) {
+  const limit = ProtocolLimits[limitName];
+  if (value === undefined || value === null) {
+    throw new ProtocolValidationError(
+      ValidationCode.MISSING,
+      field,
+      `${field} is required`,
+    );
+  }
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    throw new ProtocolValidationError(
+      ValidationCode.NOT_FINITE,
+      field,
+      `${field} must be a finite number (got ${value})`,
+    );
+  }
+  if (integer && !Number.isInteger(value)) {
+    throw new ProtocolValidationError(
+      ValidationCode.NOT_INTEGER,
+      field,
+      `${field} must be a whole number (got ${value})`,
+    );
+  }
+  if (value < limit.min || value > limit.max) {
+    throw new ProtocolValidationError(
+      ValidationCode.OUT_OF_RANGE,
+      field,
+      `${field} must be between ${limit.min} and ${limit.max} (got ${value})`,
+    );
+  }
+}
+
+// Validate a custom mode profile (decodeModeProfile()-style values)
+function validateModeProfile(values) {
+  if (!values || typeof values !== "object") {
+    throw new ProtocolValidationError(
+      ValidationCode.INVALID_PROFILE,
+      "profile",
+      "A custom profile needs a value for every field",
+    );
+  }
+  for (const field of ModeProfileFields) {
+    validateNumber(`profile.${field.key}`, values[field.key], field.type, {
+      integer: field.type !== "f32",
+    });
+  }
+}
+
+// Validate buildProgramParams() input; throws ProtocolValidationError
+function validateProgramParams(params) {
+  const profileMode = params.isJustLift ? params.baseMode : params.mode;
+  const modeField = params.isJustLift ? "baseMode" : "mode";
+  if (params.profile) {
+    validateModeProfile(params.profile);
+  } else if (!Object.values(ProgramMode).includes(profileMode)) {
+    throw new ProtocolValidationError(
+      ValidationCode.UNKNOWN_MODE,
+      modeField,
+      `Unknown program mode: ${profileMode}`,
+    );
+  }
+  if (!params.isJustLift) {
+    validateNumber("reps", params.reps, "reps", { integer: true });
+  }
+  if (params.warmupReps !== undefined) {
+    validateNumber("warmupReps", params.warmupReps, "warmupReps", {
+      integer: true,
+    });
+  }
+  validateNumber("perCableKg", params.perCableKg, "perCableKg");
+  validateNumber("effectiveKg", params.effectiveKg, "effectiveKg");
+  if (params.progressionKg !== undefined) {
+    validateNumber("progressionKg", params.progressionKg, "progressionKg");
+  }
+}
+
+// Validate a custom Echo level (values keyed by EchoLevelFields)
+function validateEchoLevel(values) {
+  if (!values || typeof values !== "object") {
+    throw new ProtocolValidationError(
+      ValidationCode.INVALID_LEVEL,
+      "levelValues",
+      "A custom Echo level needs a value for every field",
+    );
+  }
+  for (const field of EchoLevelFields) {
+    validateNumber(`levelValues.${field.key}`, values[field.key], field.key, {
+      integer: field.type !== "f32",
+    });
+  }
+}
+
+// Validate buildEchoControl() input; throws ProtocolValidationError
+function validateEchoParams(params) {
+  if (params.levelValues) {
+    validateEchoLevel(params.levelValues);
+  } else if (!Object.values(EchoLevel).includes(params.level)) {
+    throw new ProtocolValidationError(
+      ValidationCode.UNKNOWN_LEVEL,
+      "level",
+      `Unknown Echo level: ${params.level}`,
+    );
+  }
+  validateNumber("eccentricPct", params.eccentricPct, "eccentricPct", {
+    integer: true,
+  });
+  if (params.warmupReps !== undefined) {
+    validateNumber("warmupReps", params.warmupReps, "warmupReps", {
+      integer: true,
+    });
+  }
+  if (!params.isJustLift && params.targetReps !== undefined) {
+    validateNumber("targetReps", params.targetReps, "echoTargetReps", {
+      integer: true,
+    });
+  }
+}
+
+// Validate buildColorScheme() input; throws ProtocolValidationError
+function validateColorScheme(brightness, colors) {
+  validateNumber("brightness", brightness, "brightness");
+  if (!Array.isArray(colors) || colors.length !== 3) {
+    throw new ProtocolValidationError(
+      ValidationCode.INVALID_COLORS,
+      "colors",
+      "A color scheme needs exactly 3 colors",
+    );
+  }
+  colors.forEach((color, i) => {
+    for (const channel of ["r", "g", "b"]) {
+      validateNumber(
+        `colors[${i}].${channel}`,
+        color[channel],
+        "colorChannel",
+        {
+          integer: true,
+        },
+      );
+    }
+  });
+}
 
 // Build the initial 4-byte command sent before INIT
 function buildInitCommand() {
@@ -47,6 +240,8 @@ function buildInitPreset() {
 
 // Build the 96-byte program parameters frame
 function buildProgramParams(params) {
+  validateProgramParams(params);
+
   const frame = new Uint8Array(96);
   const buffer = frame.buffer;
   const view = new DataView(buffer);
@@ -57,17 +252,21 @@ function buildProgramParams(params) {
   frame[2] = 0x00;
   frame[3] = 0x00;
 
+  const warmupReps =
+    params.warmupReps !== undefined ? params.warmupReps : DEFAULT_WARMUP_REPS;
+
   // Reps field at offset 0x04
-  // For Just Lift, use 0xFF; for others, use reps+3
+  // For Just Lift, use 0xFF; for others, the total including warmup reps
+  // (captures from the official app always had 3 warmup reps: reps+3)
   if (params.isJustLift) {
     frame[0x04] = 0xff;
   } else {
-    frame[0x04] = params.reps + 3;
+    frame[0x04] = params.reps + warmupReps;
   }
 
-  // Some constant values from the working capture
-  frame[5] = 0x03;
-  frame[6] = 0x03;
+  // Warmup reps at 0x05, repeated at 0x06
+  frame[5] = warmupReps;
+  frame[6] = warmupReps;
   frame[7] = 0x00;
 
   // Float values at 0x08, 0x0c, 0x1c (appear to be constant 5.0)
@@ -101,9 +300,12 @@ function buildProgramParams(params) {
   frame[0x2f] = 0x00;
 
   // Get the mode profile block (32 bytes for offsets 0x30-0x4F)
-  // For Just Lift, use the baseMode; otherwise use the mode directly
+  // A custom profile wins; otherwise use the baseMode for Just Lift
+  // and the mode directly for everything else
   const profileMode = params.isJustLift ? params.baseMode : params.mode;
-  const profile = getModeProfile(profileMode);
+  const profile = params.profile
+    ? encodeModeProfile(params.profile)
+    : getModeProfile(profileMode);
   frame.set(profile, 0x30);
 
   // Effective weight at offset 0x54
@@ -120,6 +322,8 @@ function buildProgramParams(params) {
 
 // Build Echo mode control frame (32 bytes)
 function buildEchoControl(params) {
+  validateEchoParams(params);
+
   const frame = new Uint8Array(32);
   const buffer = frame.buffer;
   const view = new DataView(buffer);
@@ -128,7 +332,8 @@ function buildEchoControl(params) {
   view.setUint32(0x00, 0x0000004e, true);
 
   // Warmup (0x04) and working reps (0x05)
-  frame[0x04] = params.warmupReps || 3;
+  frame[0x04] =
+    params.warmupReps !== undefined ? params.warmupReps : DEFAULT_WARMUP_REPS;
 
   // For Just Lift Echo mode, use 0xFF; otherwise use targetReps
   if (params.isJustLift) {
@@ -140,8 +345,10 @@ function buildEchoControl(params) {
   // Reserved at 0x06-0x07 (u16 = 0)
   view.setUint16(0x06, 0, true);
 
-  // Get Echo parameters for this level
-  const echoParams = getEchoParams(params.level, params.eccentricPct);
+  // Get Echo parameters for this level (a custom level wins)
+  const echoParams = params.levelValues
+    ? getCustomEchoParams(params.levelValues, params.eccentricPct)
+    : getEchoParams(params.level, params.eccentricPct);
 
   // Eccentric % at 0x08 (u16)
   view.setUint16(0x08, echoParams.eccentricPct, true);
@@ -169,6 +376,8 @@ function buildEchoControl(params) {
 
 // Build a 34-byte color scheme packet
 function buildColorScheme(brightness, colors) {
+  validateColorScheme(brightness, colors);
+
   const frame = new Uint8Array(34);
   const buffer = frame.buffer;
   const view = new DataView(buffer);
@@ -203,3 +412,362 @@ function bytesToHex(bytes) {
     .map((b) => b.toString(16).padStart(2, "0"))
     .join(" ");
 }
+
+// Helper to convert a hex string (as produced by bytesToHex) back to bytes
+function hexToBytes(hex) {
+  const clean = hex.replace(/[^0-9a-f]/gi, "");
+  if (clean.length % 2 !== 0) {
+    throw new Error("Hex string has an odd number of digits");
+  }
+  const bytes = new Uint8Array(clean.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(clean.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+// Field types for frame and property field maps, and their size in bytes
+const FieldTypes = {
+  u8: 1,
+  i8: 1,
+  u16: 2,
+  i16: 2,
+  u32: 4,
+  i32: 4,
+  f32: 4,
+};
+
+// Read a single little-endian value of the given type
+function readFieldValue(view, offset, type) {
+  switch (type) {
+    case "u8":
+      return view.getUint8(offset);
+    case "i8":
+      return view.getInt8(offset);
+    case "u16":
+      return view.getUint16(offset, true);
+    case "i16":
+      return view.getInt16(offset, true);
+    case "u32":
+      return view.getUint32(offset, true);
+    case "i32":
+      return view.getInt32(offset, true);
+    case "f32":
+      return view.getFloat32(offset, true);
+    default:
+      return null;
+  }
+}
+
+// Frame parsers: the inverse of the builders above, for checking what was
+// actually sent and for comparing captures from the official app.
+// Each field list is { offset, type, name, note? } with types from FieldTypes.
+
+const MODE_PROFILE_OFFSET = 0x30;
+
+const ProgramFrameFields = [
+  { offset: 0x00, type: "u32", name: "command" },
+  {
+    offset: 0x04,
+    type: "u8",
+    name: "reps",
+    note: "reps + warmup, 0xff = Just Lift",
+  },
+  { offset: 0x05, type: "u8", name: "warmupReps" },
+  { offset: 0x06, type: "u8", name: "warmupReps2", note: "repeats 0x05" },
+  { offset: 0x08, type: "f32", name: "unknown08" },
+  { offset: 0x0c, type: "f32", name: "unknown0c" },
+  { offset: 0x14, type: "u16", name: "unknown14" },
+  { offset: 0x16, type: "u16", name: "unknown16" },
+  { offset: 0x18, type: "u16", name: "unknown18" },
+  { offset: 0x1a, type: "u16", name: "unknown1a" },
+  { offset: 0x1c, type: "f32", name: "unknown1c" },
+  { offset: 0x24, type: "u16", name: "unknown24" },
+  { offset: 0x26, type: "u16", name: "unknown26" },
+  { offset: 0x28, type: "u16", name: "unknown28" },
+  { offset: 0x2a, type: "u16", name: "unknown2a" },
+  { offset: 0x2c, type: "u16", name: "unknown2c" },
+  { offset: 0x2e, type: "u16", name: "unknown2e" },
+  ...ModeProfileFields.map((field) => ({
+    offset: MODE_PROFILE_OFFSET + field.offset,
+    type: field.type,
+    name: `profile.${field.key}`,
+  })),
+  { offset: 0x54, type: "f32", name: "effectiveKg" },
+  { offset: 0x58, type: "f32", name: "perCableKg" },
+  { offset: 0x5c, type: "f32", name: "progressionKg" },
+];
+
+const EchoFrameFields = [
+  { offset: 0x00, type: "u32", name: "command" },
+  { offset: 0x04, type: "u8", name: "warmupReps" },
+  { offset: 0x05, type: "u8", name: "targetReps", note: "0xff = Just Lift" },
+  { offset: 0x06, type: "u16", name: "reserved" },
+  { offset: 0x08, type: "u16", name: "eccentricPct" },
+  { offset: 0x0a, type: "u16", name: "concentricPct" },
+  { offset: 0x0c, type: "f32", name: "smoothing" },
+  { offset: 0x10, type: "f32", name: "gain" },
+  { offset: 0x14, type: "f32", name: "cap" },
+  { offset: 0x18, type: "f32", name: "floor" },
+  { offset: 0x1c, type: "f32", name: "negLimit" },
+];
+
+const ColorFrameFields = [
+  { offset: 0x00, type: "u32", name: "command" },
+  { offset: 0x04, type: "u32", name: "reserved04" },
+  { offset: 0x08, type: "u32", name: "reserved08" },
+  { offset: 0x0c, type: "f32", name: "brightness" },
+  ...[0, 1, 2, 3, 4, 5].flatMap((i) => [
+    { offset: 0x10 + i * 3, type: "u8", name: `color${i}.r` },
+    { offset: 0x11 + i * 3, type: "u8", name: `color${i}.g` },
+    { offset: 0x12 + i * 3, type: "u8", name: `color${i}.b` },
+  ]),
+];
+
+const InitFrameFields = [{ offset: 0x00, type: "u32", name: "command" }];
+
+// Frame types by command and length (init and stop share the 4-byte command)
+const FrameLayouts = [
+  { type: "init", command: 0x0a, length: 4, fields: InitFrameFields },
+  { type: "program", command: 0x04, length: 96, fields: ProgramFrameFields },
+  { type: "echo", command: 0x4e, length: 32, fields: EchoFrameFields },
+  { type: "color", command: 0x11, length: 34, fields: ColorFrameFields },
+];
+
+// float32 values read back with noise (0.4 -> 0.4000000059604645)
+function roundF32(value) {
+  return parseFloat(value.toPrecision(7));
+}
+
+// Read every field in a layout; returns [{ offset, type, name, note, value }]
+function readFrameFields(frame, fields) {
+  const view = new DataView(frame.buffer, frame.byteOffset, frame.byteLength);
+  return fields
+    .filter((field) => field.offset + FieldTypes[field.type] <= frame.length)
+    .map((field) => {
+      const value = readFieldValue(view, field.offset, field.type);
+      return {
+        ...field,
+        value: field.type === "f32" ? roundF32(value) : value,
+      };
+    });
+}
+
+function frameFieldValues(frame, fields) {
+  const values = {};
+  for (const field of readFrameFields(frame, fields)) {
+    values[field.name] = field.value;
+  }
+  return values;
+}
+
+function findFrameLayout(frame) {
+  if (frame.length < 4) {
+    return null;
+  }
+  const view = new DataView(frame.buffer, frame.byteOffset, frame.byteLength);
+  const command = view.getUint32(0, true);
+  return (
+    FrameLayouts.find(
+      (layout) => layout.command === command && layout.length === frame.length,
+    ) || null
+  );
+}
+
+function expectFrame(frame, type) {
+  const layout = findFrameLayout(frame);
+  if (!layout || layout.type !== type) {
+    throw new Error(
+      `Expected a ${type} frame, got ${frame.length} bytes starting ${bytesToHex(frame.subarray(0, 4))}`,
+    );
+  }
+}
+
+// Match a 32-byte profile block against the built-in modes; null if custom
+function findModeForProfile(profile) {
+  for (const mode of Object.values(ProgramMode)) {
+    const expected = getModeProfile(mode);
+    if (expected.every((byte, i) => byte === profile[i])) {
+      return mode;
+    }
+  }
+  return null;
+}
+
+// Decode a 32-byte mode profile block
+function parseModeProfile(profile) {
+  return {
+    mode: findModeForProfile(profile),
+    values: decodeModeProfile(profile),
+    bytes: Uint8Array.from(profile),
+  };
+}
+
+// Parse a 96-byte program frame back into buildProgramParams() params
+function parseProgramParams(frame) {
+  expectFrame(frame, "program");
+  const values = frameFieldValues(frame, ProgramFrameFields);
+  const isJustLift = values.reps === 0xff;
+  const profile = parseModeProfile(
+    frame.subarray(MODE_PROFILE_OFFSET, MODE_PROFILE_OFFSET + 32),
+  );
+
+  return {
+    mode: profile.mode,
+    baseMode: profile.mode,
+    isJustLift: isJustLift,
+    reps: isJustLift ? null : values.reps - values.warmupReps,
+    warmupReps: values.warmupReps,
+    effectiveKg: values.effectiveKg,
+    perCableKg: values.perCableKg,
+    progressionKg: values.progressionKg,
+    profile: profile.values, // Can be passed back to buildProgramParams
+  };
+}
+
+// Built-in Echo level whose fields all match, or null for a custom level
+function findEchoLevel(values) {
+  for (const level of Object.values(EchoLevel)) {
+    const expected = getEchoParams(level, 0);
+    const matches = EchoLevelFields.every(
+      (field) => roundF32(expected[field.key]) === roundF32(values[field.key]),
+    );
+    if (matches) {
+      return level;
+    }
+  }
+  return null;
+}
+
+// Parse a 32-byte Echo control frame back into buildEchoControl() params
+function parseEchoControl(frame) {
+  expectFrame(frame, "echo");
+  const values = frameFieldValues(frame, EchoFrameFields);
+  const isJustLift = values.targetReps === 0xff;
+
+  return {
+    level: findEchoLevel(values),
+    isJustLift: isJustLift,
+    warmupReps: values.warmupReps,
+    targetReps: isJustLift ? null : values.targetReps,
+    eccentricPct: values.eccentricPct,
+    concentricPct: values.concentricPct,
+    smoothing: values.smoothing,
+    gain: values.gain,
+    cap: values.cap,
+    floor: values.floor,
+    negLimit: values.negLimit,
+    // Can be passed back to buildEchoControl
+    levelValues: Object.fromEntries(
+      EchoLevelFields.map((field) => [field.key, values[field.key]]),
+    ),
+  };
+}
+
+// Parse a 34-byte color scheme (or INIT preset) frame
+function parseColorScheme(frame) {
+  expectFrame(frame, "color");
+  const view = new DataView(frame.buffer, frame.byteOffset, frame.byteLength);
+  const colors = [];
+  for (let offset = 16; offset < 34; offset += 3) {
+    colors.push({
+      r: frame[offset],
+      g: frame[offset + 1],
+      b: frame[offset + 2],
+    });
+  }
+
+  return {
+    brightness: roundF32(view.getFloat32(12, true)),
+    colors: colors.slice(0, 3),
+    // The builder repeats the 3 colors for left/right; flag frames that don't
+    mirrored: colors
+      .slice(0, 3)
+      .every(
+        (c, i) =>
+          c.r === colors[i + 3].r &&
+          c.g === colors[i + 3].g &&
+          c.b === colors[i + 3].b,
+      ),
+  };
+}
+
+// Parse any known outgoing frame: { type, params } or { type: "unknown" }
+function parseFrame(frame) {
+  const layout = findFrameLayout(frame);
+  if (!layout) {
+    return { type: "unknown", params: null };
+  }
+
+  switch (layout.type) {
+    case "program":
+      return { type: "program", params: parseProgramParams(frame) };
+    case "echo":
+      return { type: "echo", params: parseEchoControl(frame) };
+    case "color":
+      return { type: "color", params: parseColorScheme(frame) };
+    default:
+      return { type: layout.type, params: {} };
+  }
+}
+
+// Annotated field list for a frame, for the log panel
+function describeFrame(frame) {
+  const layout = findFrameLayout(frame);
+  if (!layout) {
+    return { type: "unknown", summary: null, fields: [] };
+  }
+
+  const { params } = parseFrame(frame);
+  let summary = null;
+  if (layout.type === "program") {
+    const modeName =
+      params.mode === null ? "custom profile" : ProgramModeNames[params.mode];
+    summary = `${modeName}, ${params.isJustLift ? "Just Lift" : `${params.reps} reps`}, ${params.perCableKg} kg/cable`;
+  } else if (layout.type === "echo") {
+    const levelName =
+      params.level === null ? "custom level" : EchoLevelNames[params.level];
+    summary = `${levelName}, eccentric ${params.eccentricPct}%, ${params.isJustLift ? "Just Lift" : `${params.targetReps} reps`}`;
+  } else if (layout.type === "color") {
+    summary = `brightness ${params.brightness}${params.mirrored ? "" : ", sides differ"}`;
+  }
+
+  return {
+    type: layout.type,
+    summary: summary,
+    fields: readFrameFields(frame, layout.fields),
+  };
+}
+
+// One log line per field: "  0x58 f32 perCableKg = 20"
+function formatFrameFields(frame) {
+  return describeFrame(frame).fields.map((field) => {
+    const offset = `0x${field.offset.toString(16).padStart(2, "0")}`;
+    const value = field.type.startsWith("u")
+      ? `${field.value} (0x${field.value.toString(16)})`
+      : field.value;
+    const note = field.note ? `  // ${field.note}` : "";
+    return `  ${offset} ${field.type.padEnd(3)} ${field.name} = ${value}${note}`;
+  });
+}
+
+// Monitor frame (0x0039): u16 words, little-endian. Returns raw readings, or
+// null when the frame is too short; position spikes are filtered by the
+// caller, which knows the last good values.
+function parseMonitorFrame(data) {
+  if (data.length < 16) {
+    return null;
+  }
+
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const f0 = view.getUint16(0, true);
+  const f1 = view.getUint16(2, true);
+
+  return {
+    ticks: f0 + (f1 << 16), // 32-bit tick counter split over two words
+    posA: view.getUint16(4, true),
+    posB: view.getUint16(10, true),
+    loadA: view.getUint16(8, true) / 100.0, // Device sends kg * 100
+    loadB: view.getUint16(14, true) / 100.0,
+  };
+}
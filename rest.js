@@ -0,0 +1,91 @@
+// rest.js - Rest timer between sets
+//
+// Counts down the planned rest, then keeps running so the actual rest can be
+// recorded when the next set starts. Events:
+//
+//   "tick" (remainingMs, elapsedMs)  every REST_TICK_MS while running
+//   "end"                            once, when the planned rest is over
+
+const REST_TICK_MS = 250;
+const REST_MAX_SECONDS = 600;
+
+class RestTimer extends EventEmitter {
+  constructor() {
+    super();
+    this.startedAt = null;
+    this.durationMs = 0; // Planned rest
+    this.countdownMs = 0; // When the countdown ends; earlier after end()
+    this.ended = false;
+    this.timer = null;
+  }
+
+  get isRunning() {
+    return this.startedAt !== null;
+  }
+
+  start(seconds) {
+    this.stop();
+    this.startedAt = Date.now();
+    this.durationMs = seconds * 1000;
+    this.countdownMs = this.durationMs;
+    this.ended = false;
+    this.timer = setInterval(() => this.tick(), REST_TICK_MS);
+    this.tick();
+  }
+
+  // Add rest time, or take it off with a negative value
+  extend(seconds) {
+    if (!this.isRunning) {
+      return;
+    }
+    this.durationMs = Math.max(0, this.durationMs + seconds * 1000);
+    this.countdownMs = Math.max(0, this.countdownMs + seconds * 1000);
+    if (this.getRemainingMs() > 0) {
+      this.ended = false; // Ends (and emits "end") again later
+    }
+    this.tick();
+  }
+
+  // End the countdown now. The planned rest stays as it was, for the record.
+  end() {
+    if (!this.isRunning) {
+      return;
+    }
+    this.countdownMs = Math.min(this.countdownMs, this.getElapsedMs());
+    this.tick();
+  }
+
+  getElapsedMs() {
+    return this.isRunning ? Date.now() - this.startedAt : 0;
+  }
+
+  getRemainingMs() {
+    return Math.max(0, this.countdownMs - this.getElapsedMs());
+  }
+
+  tick() {
+    const remainingMs = this.getRemainingMs();
+    this.emit("tick", remainingMs, this.getElapsedMs());
+    // A "tick" listener may have stopped the timer
+    if (remainingMs === 0 && !this.ended && this.isRunning) {
+      this.ended = true;
+      this.emit("end");
+    }
+  }
+
+  // Stop the timer. Returns { plannedMs, actualMs }, or null if it was not
+  // running.
+  stop() {
+    if (!this.isRunning) {
+      return null;
+    }
+    clearInterval(this.timer);
+    const result = {
+      plannedMs: this.durationMs,
+      actualMs: this.getElapsedMs(),
+    };
+    this.timer = null;
+    this.startedAt = null;
+    return result;
+  }
+}
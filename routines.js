@@ -0,0 +1,98 @@
+// routines.js - Routines: ordered sets run one after another
+//
+// A routine is saved in a PresetStore as { id, name, values: { sets } }.
+// Each set holds the Program or Echo form inputs it was added from, with
+// weights in kg so a routine reads the same in either display unit:
+//
+//   { type: "program", mode: "0", modeName: "Old School", weightKg: 20,
+//     reps: 10, progressionKg: 0, warmupReps: 3, justLift: false,
+//     drops: null, exercise: { id: "row", name: "Row" } }
+//   { type: "echo", level: "2", levelName: "Harder", eccentricPct: 100,
+//     targetReps: 8, warmupReps: 3, justLift: false, exercise: null }
+//
+// mode and level are <select> values, so custom profiles and Echo levels
+// ("custom:<id>") work too.
+//
+// A superset or circuit is a routine with values.circuit set to
+// { rounds, transitionSec }: its sets are one round, run `rounds` times, with
+// a short transition between exercises and the full rest only after a round.
+
+const ROUTINE_MAX_SETS = 50;
+const ROUTINE_MAX_ROUNDS = 20;
+const ROUTINE_MAX_TRANSITION_SECONDS = 120;
+const ROUTINE_DEFAULT_TRANSITION_SECONDS = 15;
+
+// Check one set; field names the set in error messages, e.g. "sets[2]"
+function validateRoutineSet(set, field = "set") {
+  if (!set || typeof set !== "object") {
+    throw new Error(`${field} must be an object`);
+  }
+  if (set.type === "program") {
+    if (typeof set.mode !== "string" || set.mode === "") {
+      throw new Error(`${field}.mode is required`);
+    }
+    validateNumber(`${field}.weightKg`, set.weightKg, "perCableKg");
+    if (!set.justLift) {
+      validateNumber(`${field}.reps`, set.reps, "reps", { integer: true });
+    }
+    validateNumber(
+      `${field}.progressionKg`,
+      set.progressionKg,
+      "progressionKg",
+    );
+  } else if (set.type === "echo") {
+    if (typeof set.level !== "string" || set.level === "") {
+      throw new Error(`${field}.level is required`);
+    }
+    validateNumber(`${field}.eccentricPct`, set.eccentricPct, "eccentricPct", {
+      integer: true,
+    });
+    if (!set.justLift) {
+      validateNumber(`${field}.targetReps`, set.targetReps, "echoTargetReps", {
+        integer: true,
+      });
+    }
+  } else {
+    throw new Error(`${field}.type must be "program" or "echo"`);
+  }
+  validateNumber(`${field}.warmupReps`, set.warmupReps, "warmupReps", {
+    integer: true,
+  });
+  if (set.exercise && typeof set.exercise.id !== "string") {
+    throw new Error(`${field}.exercise must be { id, name }`);
+  }
+}
+
+// Check a circuit's { rounds, transitionSec }
+function validateRoutineCircuit(circuit) {
+  const { rounds, transitionSec } = circuit;
+  if (!Number.isInteger(rounds) || rounds < 2 || rounds > ROUTINE_MAX_ROUNDS) {
+    throw new Error(
+      `circuit.rounds must be a whole number from 2 to ${ROUTINE_MAX_ROUNDS}`,
+    );
+  }
+  if (
+    !Number.isInteger(transitionSec) ||
+    transitionSec < 0 ||
+    transitionSec > ROUTINE_MAX_TRANSITION_SECONDS
+  ) {
+    throw new Error(
+      `circuit.transitionSec must be a whole number from 0 to ${ROUTINE_MAX_TRANSITION_SECONDS}`,
+    );
+  }
+}
+
+// Check a routine's values ({ sets, circuit }) before it is saved or run
+function validateRoutine(values) {
+  const sets = values && values.sets;
+  if (!Array.isArray(sets) || sets.length === 0) {
+    throw new Error("A routine needs at least one set");
+  }
+  if (sets.length > ROUTINE_MAX_SETS) {
+    throw new Error(`A routine can have at most ${ROUTINE_MAX_SETS} sets`);
+  }
+  sets.forEach((set, i) => validateRoutineSet(set, `sets[${i}]`));
+  if (values.circuit) {
+    validateRoutineCircuit(values.circuit);
+  }
+}
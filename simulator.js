@@ -0,0 +1,408 @@
+// simulator.js - Simulated Vitruvian Trainer for development without hardware
+//
+// SimulatedVitruvianDevice plugs a fake Web Bluetooth device into the normal
+// VitruvianDevice code path, so connect, the GATT queue, polling and
+// parseMonitorData all run exactly as they do against a real Trainer. The
+// SimulatedTrainer behind it decodes the frames written to the RX
+// characteristic and animates a virtual lifter doing reps.
+
+const SIMULATOR_TICK_MS = 20; // Physics step for the simulated lifter
+const SIMULATOR_BOTTOM_POS = 40; // Cable position at rest
+const SIMULATOR_JUST_LIFT_REPS = 6; // Working reps the lifter does in Just Lift
+
+class SimulatedTrainer {
+  constructor(options = {}) {
+    this.options = {
+      readLatencyMs: 12, // Simulated GATT round trip for reads
+      writeLatencyMs: 20, // Simulated GATT round trip for writes
+      repDurationMs: 2800, // Average duration of one rep
+      rangeOfMotion: 700, // Average cable travel per rep
+      restBeforeSetMs: 1200, // Lifter pause between the program frame and rep 1
+      echoForceKg: 22, // Force the lifter puts into Echo mode per cable
+      repCounterStart: 0, // Initial rep counter value (set near 0xffff to test wraparound)
+      ...options,
+    };
+
+    this.characteristics = new Map();
+    this.interval = null;
+    this.connectedAt = 0;
+
+    this.topCounter = this.options.repCounterStart & 0xffff;
+    this.completeCounter = this.options.repCounterStart & 0xffff;
+    this.propertySequence = 0;
+
+    this.brightness = 0.4;
+    this.colors = [];
+
+    this.resetSet();
+  }
+
+  resetSet() {
+    this.set = null; // Active workout decoded from the last program/echo frame
+    this.posA = SIMULATOR_BOTTOM_POS;
+    this.posB = SIMULATOR_BOTTOM_POS;
+    this.loadA = 0;
+    this.loadB = 0;
+  }
+
+  // Register a characteristic so notifications can be routed to it
+  addCharacteristic(char) {
+    this.characteristics.set(char.uuid, char);
+  }
+
+  start() {
+    if (this.interval) {
+      return;
+    }
+    this.connectedAt = Date.now();
+    this.interval = setInterval(() => this.step(Date.now()), SIMULATOR_TICK_MS);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.resetSet();
+  }
+
+  // Handle a frame written to the RX characteristic
+  receiveFrame(frame) {
+    const { type, params } = parseFrame(frame);
+
+    if (type === "init") {
+      // Init and stop share the same 4-byte command
+      this.resetSet();
+    } else if (type === "color") {
+      // Init preset and color scheme share the same layout
+      this.brightness = params.brightness;
+      this.colors = params.colors;
+    } else if (type === "program") {
+      this.beginSet(this.decodeProgramFrame(params));
+    } else if (type === "echo") {
+      this.beginSet(this.decodeEchoFrame(params));
+    }
+  }
+
+  decodeProgramFrame(params) {
+    return {
+      type: "program",
+      // Custom profiles behave like Old School here
+      mode: params.mode === null ? ProgramMode.OLD_SCHOOL : params.mode,
+      isJustLift: params.isJustLift,
+      warmupReps: params.warmupReps,
+      targetReps: params.isJustLift ? 0 : params.reps,
+      perCableKg: params.perCableKg,
+      progressionKg: params.progressionKg,
+    };
+  }
+
+  decodeEchoFrame(params) {
+    return {
+      type: "echo",
+      isJustLift: params.isJustLift,
+      warmupReps: params.warmupReps,
+      targetReps: params.isJustLift ? 0 : params.targetReps,
+      eccentricPct: params.eccentricPct,
+      gain: params.gain,
+      cap: params.cap,
+    };
+  }
+
+  beginSet(set) {
+    const workingReps = set.isJustLift
+      ? SIMULATOR_JUST_LIFT_REPS
+      : set.targetReps;
+    this.set = {
+      ...set,
+      totalReps: set.warmupReps + workingReps,
+      repsDone: 0,
+      repStartTime: Date.now() + this.options.restBeforeSetMs,
+      topReached: false,
+    };
+    this.planRep();
+
+    // The machine reports its current counters when a set starts
+    this.notifyRep();
+  }
+
+  // Randomise the next rep so cable traces look like a real lifter
+  planRep() {
+    const jitter = () => 0.9 + Math.random() * 0.2;
+    this.set.repDuration = this.options.repDurationMs * jitter();
+    this.set.repRange = this.options.rangeOfMotion * jitter();
+    this.set.asymmetry = 0.95 + Math.random() * 0.05;
+  }
+
+  // Advance the lifter and machine by one physics step
+  step(now) {
+    const set = this.set;
+    let phase = null; // 0..1 through the current rep, null when resting
+
+    if (set && set.repsDone < set.totalReps && now >= set.repStartTime) {
+      phase = (now - set.repStartTime) / set.repDuration;
+
+      if (!set.topReached && phase >= 0.5) {
+        set.topReached = true;
+        this.topCounter = (this.topCounter + 1) & 0xffff;
+        this.notifyRep();
+      }
+
+      if (phase >= 1) {
+        set.repsDone++;
+        set.topReached = false;
+        set.repStartTime = now;
+        this.completeCounter = (this.completeCounter + 1) & 0xffff;
+        this.planRep();
+        this.notifyRep();
+        phase = set.repsDone < set.totalReps ? 0 : null;
+      }
+    }
+
+    if (phase === null) {
+      this.posA = SIMULATOR_BOTTOM_POS;
+      this.posB = SIMULATOR_BOTTOM_POS;
+    } else {
+      const travel = (1 - Math.cos(2 * Math.PI * phase)) / 2;
+      this.posA = SIMULATOR_BOTTOM_POS + set.repRange * travel;
+      this.posB = SIMULATOR_BOTTOM_POS + set.repRange * travel * set.asymmetry;
+    }
+
+    const targetKg = set ? this.resistanceFor(set, phase) : 0;
+    this.loadA = this.applyTension(targetKg, this.posA);
+    this.loadB = this.applyTension(targetKg, this.posB);
+
+    // A program set is over once the lifter finishes every rep
+    if (set && set.repsDone >= set.totalReps && !set.isJustLift) {
+      this.set = null;
+    }
+  }
+
+  // Per-cable resistance the machine applies at this point of the rep
+  resistanceFor(set, phase) {
+    const eccentric = phase !== null && phase >= 0.5;
+
+    if (set.type === "echo") {
+      // Echo follows the lifter's effort, scaled by gain and capped
+      const effort = this.options.echoForceKg * (1 + 0.05 * set.repsDone);
+      const concentric = Math.min(effort * set.gain, set.cap);
+      return eccentric ? (concentric * set.eccentricPct) / 100 : concentric;
+    }
+
+    // Warmup reps ramp up towards the working weight
+    if (set.repsDone < set.warmupReps) {
+      return (set.perCableKg * (set.repsDone + 1)) / (set.warmupReps + 1);
+    }
+
+    const workingRep = set.repsDone - set.warmupReps;
+    const weight = Math.max(0, set.perCableKg + set.progressionKg * workingRep);
+
+    switch (set.mode) {
+      case ProgramMode.PUMP:
+        return weight * (eccentric ? 0.85 : 1.0);
+      case ProgramMode.TUT:
+      case ProgramMode.TUT_BEAST:
+        return weight * (eccentric ? 1.1 : 1.0);
+      case ProgramMode.ECCENTRIC_ONLY:
+        return weight * (eccentric ? 1.0 : 0.1);
+      default:
+        return weight;
+    }
+  }
+
+  // Cable tension builds up over the first few cm of travel, with sensor noise
+  applyTension(targetKg, pos) {
+    const engaged = Math.min(Math.max((pos - SIMULATOR_BOTTOM_POS) / 60, 0), 1);
+    const noise = 1 + (Math.random() - 0.5) * 0.04;
+    return Math.max(0, targetKg * (0.15 + 0.85 * engaged) * noise);
+  }
+
+  notifyRep() {
+    const char = this.characteristics.get(REP_NOTIFY_CHAR_UUID);
+    if (!char) {
+      return;
+    }
+    const frame = new Uint8Array(8);
+    const view = new DataView(frame.buffer);
+    view.setUint16(0, this.topCounter, true);
+    view.setUint16(4, this.completeCounter, true);
+    char.notify(frame);
+  }
+
+  // Build a monitor (0x0039) frame in the layout parseMonitorData expects
+  readMonitor() {
+    const frame = new Uint8Array(16);
+    const view = new DataView(frame.buffer);
+    const ticks = Math.floor((Date.now() - this.connectedAt) / 10) >>> 0;
+    const u16 = (value) => Math.max(0, Math.min(0xffff, Math.round(value)));
+
+    view.setUint16(0, ticks & 0xffff, true);
+    view.setUint16(2, ticks >>> 16, true);
+    view.setUint16(4, u16(this.posA), true);
+    view.setUint16(8, u16(this.loadA * 100), true);
+    view.setUint16(10, u16(this.posB), true);
+    view.setUint16(14, u16(this.loadB * 100), true);
+    return frame;
+  }
+
+  // Build a property (0x003f) frame. The real layout is unknown, so this only
+  // carries a set-state byte and a sequence number for exercising the UI.
+  readProperty() {
+    const frame = new Uint8Array(16);
+    const view = new DataView(frame.buffer);
+    frame[0] = this.set ? (this.set.type === "echo" ? 2 : 1) : 0;
+    view.setUint16(2, this.set ? this.set.repsDone : 0, true);
+    view.setUint32(4, this.propertySequence++, true);
+    return frame;
+  }
+
+  read(uuid) {
+    if (uuid === MONITOR_CHAR_UUID) {
+      return this.readMonitor();
+    }
+    if (uuid === PROPERTY_CHAR_UUID) {
+      return this.readProperty();
+    }
+    return new Uint8Array(0);
+  }
+}
+
+// Minimal stand-in for a Web Bluetooth characteristic
+class SimulatedCharacteristic extends EventTarget {
+  constructor(uuid, trainer) {
+    super();
+    this.uuid = uuid;
+    this.trainer = trainer;
+    this.value = null;
+    this.notifying = false;
+  }
+
+  delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  async readValue() {
+    await this.delay(this.trainer.options.readLatencyMs);
+    const data = this.trainer.read(this.uuid);
+    this.value = new DataView(data.buffer);
+    return this.value;
+  }
+
+  async writeValueWithResponse(payload) {
+    await this.delay(this.trainer.options.writeLatencyMs);
+    this.trainer.receiveFrame(new Uint8Array(payload));
+  }
+
+  async writeValueWithoutResponse(payload) {
+    this.trainer.receiveFrame(new Uint8Array(payload));
+  }
+
+  async startNotifications() {
+    this.notifying = true;
+    return this;
+  }
+
+  async stopNotifications() {
+    this.notifying = false;
+    return this;
+  }
+
+  notify(data) {
+    if (!this.notifying) {
+      return;
+    }
+    this.value = new DataView(data.buffer);
+    this.dispatchEvent(new Event("characteristicvaluechanged"));
+  }
+}
+
+class SimulatedService {
+  constructor(uuid, characteristics) {
+    this.uuid = uuid;
+    this.characteristics = characteristics;
+  }
+
+  async getCharacteristics() {
+    return this.characteristics;
+  }
+}
+
+class SimulatedGattServer {
+  constructor(device, trainer) {
+    this.device = device;
+    this.trainer = trainer;
+    this.connected = false;
+    this.unavailableUntil = 0; // Refuse connections until this time (ms)
+
+    const uuids = [
+      NUS_RX_CHAR_UUID,
+      MONITOR_CHAR_UUID,
+      PROPERTY_CHAR_UUID,
+      ...NOTIFY_CHAR_UUIDS,
+    ];
+    const characteristics = uuids.map((uuid) => {
+      const char = new SimulatedCharacteristic(uuid, trainer);
+      trainer.addCharacteristic(char);
+      return char;
+    });
+    this.nusService = new SimulatedService(NUS_SERVICE_UUID, characteristics);
+  }
+
+  async connect() {
+    if (Date.now() < this.unavailableUntil) {
+      throw new Error("Connection attempt failed (simulated dropout)");
+    }
+    this.connected = true;
+    this.trainer.start();
+    return this;
+  }
+
+  disconnect() {
+    if (!this.connected) {
+      return;
+    }
+    this.connected = false;
+    this.trainer.stop();
+    this.device.dispatchEvent(new Event("gattserverdisconnected"));
+  }
+
+  async getPrimaryService(uuid) {
+    if (uuid === NUS_SERVICE_UUID) {
+      return this.nusService;
+    }
+    throw new Error(`Service ${uuid} not found`);
+  }
+}
+
+class SimulatedBluetoothDevice extends EventTarget {
+  constructor(trainer) {
+    super();
+    this.id = "simulated-trainer";
+    this.name = "Vee_Simulated";
+    this.gatt = new SimulatedGattServer(this, trainer);
+  }
+}
+
+// VitruvianDevice backed by a SimulatedTrainer instead of Web Bluetooth
+class SimulatedVitruvianDevice extends VitruvianDevice {
+  constructor(options = {}) {
+    super();
+    this.isSimulated = true;
+    this.trainer = new SimulatedTrainer(options);
+  }
+
+  async requestBluetoothDevice() {
+    this.log("Using simulated Trainer (no hardware)", "info");
+    return new SimulatedBluetoothDevice(this.trainer);
+  }
+
+  // Drop the link as if the Trainer went out of range for a while
+  simulateConnectionDrop(durationMs = 3000) {
+    if (!this.device || !this.device.gatt.connected) {
+      return;
+    }
+    this.log(`Simulating a ${durationMs}ms connection drop`, "info");
+    this.device.gatt.unavailableUntil = Date.now() + durationMs;
+    this.device.gatt.disconnect();
+  }
+}
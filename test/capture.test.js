@@ -0,0 +1,57 @@
+// capture.test.js - Capture files for session replay
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadThrough } = require("./helpers");
+
+const run = loadThrough("capture.js");
+const parseCaptureFile = run("parseCaptureFile");
+
+function captureText(events) {
+  return JSON.stringify({
+    format: "vitruvian-capture",
+    version: 1,
+    startedAt: null,
+    device: {},
+    events: events,
+  });
+}
+
+const notify = { t: 5, kind: "notify", uuid: "ABC", hex: "01 02 0a" };
+
+test("reads a recorder's capture back with its payloads as bytes", () => {
+  const recorder = run("new SessionRecorder()");
+  recorder.start();
+  recorder.record("write", "ABC", new Uint8Array([0x0a, 0, 0, 0]), "Init");
+  recorder.record("notify", "DEF", new Uint8Array([1, 2]));
+
+  const capture = parseCaptureFile(JSON.stringify(recorder.toCapture()));
+  assert.deepStrictEqual(
+    [...capture.events].map((event) => [
+      event.kind,
+      event.uuid,
+      [...event.data],
+    ]),
+    [
+      ["write", "abc", [0x0a, 0, 0, 0]],
+      ["notify", "def", [1, 2]],
+    ],
+  );
+});
+
+test("rejects a capture with a malformed event, naming the event", () => {
+  const cases = [
+    [null, /event 2 is not an object/],
+    [{ ...notify, t: undefined }, /event 2 has an invalid time/],
+    [{ ...notify, kind: "scan" }, /event 2 has an unknown kind: scan/],
+    [{ ...notify, uuid: undefined }, /event 2 has no characteristic uuid/],
+    [{ ...notify, hex: undefined }, /event 2 has no hex payload/],
+    [{ ...notify, hex: "zz" }, /event 2 has no hex payload/],
+    [{ ...notify, hex: "01 0" }, /event 2 has a bad hex payload: .*odd/],
+  ];
+  for (const [event, message] of cases) {
+    assert.throws(() => parseCaptureFile(captureText([notify, event])), {
+      message: message,
+    });
+  }
+});
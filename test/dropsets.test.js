@@ -0,0 +1,181 @@
+// dropsets.test.js - Drop-set chains in program mode
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApp, repFrame } = require("./helpers");
+
+// A program set of 2 working reps at 20 kg with the given drops planned.
+// `sent` collects the program frames of the drops, and any STOP.
+function startDropSet(dropPlan) {
+  const { app, run, sent } = loadApp();
+  const params = { perCableKg: 20, reps: 2, warmupReps: 0 };
+  app.currentWorkout = {
+    mode: "Test",
+    weightKg: 20,
+    targetReps: 2,
+    startTime: new Date(),
+    warmupEndTime: new Date(),
+    interruptions: [],
+    weightChanges: [],
+    drops: [],
+    repEvents: [],
+  };
+  app.activeSet = { type: "program", params: params };
+  app.dropPlan = dropPlan;
+  app.warmupTarget = 0;
+  app.targetReps = 2;
+  app.currentSample = { posA: 500, posB: 520 };
+  return { app, sent, run };
+}
+
+// Prime the counters, then complete `reps` reps
+function doReps(app, reps) {
+  app.handleRepNotification(repFrame(0, 0));
+  for (let rep = 1; rep <= reps; rep++) {
+    app.handleRepNotification(repFrame(rep, rep));
+  }
+}
+
+test("drops the weight at the target reps and counts the drop's reps", () => {
+  const { app, sent } = startDropSet({
+    count: 2,
+    percent: 20,
+    trigger: "target",
+  });
+  doReps(app, 2);
+
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0][1].perCableKg, 16);
+  assert.strictEqual(sent[0][1].reps, 2);
+  assert.strictEqual(sent[0][1].warmupReps, 0);
+  assert.strictEqual(app.workingReps, 0);
+  assert.strictEqual(app.currentWorkout.drops[0].afterReps, 2);
+
+  doReps(app, 1);
+  assert.strictEqual(app.workingReps, 1);
+});
+
+test("saves the whole chain as one history entry", () => {
+  const { app, sent } = startDropSet({
+    count: 2,
+    percent: 20,
+    trigger: "target",
+  });
+  doReps(app, 2);
+  doReps(app, 2);
+  doReps(app, 2);
+
+  assert.deepStrictEqual(
+    sent.map(([, params]) => params.perCableKg),
+    [16, 13],
+  );
+  assert.strictEqual(app.currentWorkout, null);
+  assert.strictEqual(app.workoutHistory.length, 1);
+
+  const entry = app.workoutHistory[0];
+  assert.strictEqual(entry.reps, 6);
+  assert.deepStrictEqual([...entry.repBreakdown], [2, 2, 2]);
+  assert.deepStrictEqual(
+    entry.drops.map((drop) => [drop.fromKg, drop.toKg]),
+    [
+      [20, 16],
+      [16, 13],
+    ],
+  );
+});
+
+test("drop weights are rounded to the weight input's step", () => {
+  const { app } = startDropSet(null);
+
+  assert.strictEqual(app.getDropWeightKg(20, 20), 16);
+  assert.strictEqual(app.getDropWeightKg(16, 20), 13); // 12.8
+  assert.strictEqual(app.getDropWeightKg(1, 20), 1); // Too light to drop
+
+  app.weightUnit = "lb";
+  const droppedLb = app.convertKgToDisplay(app.getDropWeightKg(20, 20));
+  assert.strictEqual(droppedLb.toFixed(1), "35.0"); // 35.3 lb
+});
+
+test("drops at failure after resting at the bottom past the hold time", () => {
+  const { app, sent, run } = startDropSet({
+    count: 1,
+    percent: 20,
+    trigger: "failure",
+  });
+  doReps(app, 1);
+
+  const bottom = { posA: 100, posB: 100 };
+  Object.assign(app, {
+    minRepPosA: 100,
+    maxRepPosA: 600,
+    minRepPosB: 100,
+    maxRepPosB: 600,
+  });
+  app.checkDropFailure(bottom);
+  app.checkDropFailure(bottom); // Not held long enough yet
+  assert.strictEqual(sent.length, 0);
+
+  app.dropFailureStartTime -= run("DROP_FAILURE_HOLD_MS");
+  app.checkDropFailure(bottom);
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0][1].perCableKg, 16);
+  assert.strictEqual(app.currentWorkout.drops[0].reason, "failure");
+  assert.strictEqual(app.currentWorkout.drops[0].afterReps, 1);
+});
+
+test("a failure chain ends at the target reps instead of dropping", () => {
+  const { app, sent } = startDropSet({
+    count: 2,
+    percent: 20,
+    trigger: "failure",
+  });
+  doReps(app, 2);
+
+  assert.strictEqual(sent.length, 0);
+  assert.strictEqual(app.currentWorkout, null);
+  assert.strictEqual(app.workoutHistory[0].drops.length, 0);
+});
+
+test("stops the set at failure when the weight cannot drop any further", async () => {
+  const { app, sent, run } = startDropSet({
+    count: 2,
+    percent: 20,
+    trigger: "failure",
+  });
+  app.activeSet.params.perCableKg = 1; // Rounds back up to 1 kg
+  doReps(app, 1);
+
+  const bottom = { posA: 100, posB: 100 };
+  Object.assign(app, {
+    minRepPosA: 100,
+    maxRepPosA: 600,
+    minRepPosB: 100,
+    maxRepPosB: 600,
+  });
+  app.checkDropFailure(bottom);
+  app.dropFailureStartTime -= run("DROP_FAILURE_HOLD_MS");
+  app.checkDropFailure(bottom);
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.deepStrictEqual([...sent], [["stop"]]);
+  assert.strictEqual(app.currentWorkout, null);
+  assert.strictEqual(app.workoutHistory[0].reps, 1);
+});
+
+test("stops and saves the chain when the next drop fails to start", async () => {
+  const { app, sent } = startDropSet({
+    count: 2,
+    percent: 20,
+    trigger: "target",
+  });
+  app.device.startProgram = async () => {
+    throw new Error("GATT write failed");
+  };
+  doReps(app, 2);
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.deepStrictEqual([...sent], [["stop"]]);
+  assert.strictEqual(app.currentWorkout, null);
+  assert.strictEqual(app.workoutHistory[0].reps, 2);
+  assert.strictEqual(app.workoutHistory[0].drops.length, 0);
+});
@@ -0,0 +1,76 @@
+// exercises.test.js - Exercise library and tagging sets
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApp, loadThrough, programSet } = require("./helpers");
+
+const row = { id: "row", name: "Row" };
+const squat = { id: "squat", name: "Squat" };
+
+test("groups sets by exercise, most recently trained first", () => {
+  const groupWorkoutsByExercise = loadThrough("exercises.js")(
+    "groupWorkoutsByExercise",
+  );
+  const groups = groupWorkoutsByExercise([
+    { exercise: null },
+    { exercise: row },
+    { exercise: squat },
+    { exercise: { id: "row", name: "Row (renamed)" } },
+  ]);
+
+  assert.deepStrictEqual(
+    [...groups].map((group) => [
+      group.exercise && group.exercise.name,
+      [...group.indexes],
+    ]),
+    [
+      ["Row", [1, 3]],
+      ["Squat", [2]],
+      [null, [0]],
+    ],
+  );
+});
+
+// An app with a one-set routine of rows ready to start
+function startSetApp() {
+  const { app, run } = loadApp();
+  app.restSettings = { seconds: 0, action: "none" };
+  app.routineSets = [{ ...programSet, exercise: row }];
+  return { app, document: run("document") };
+}
+
+test("tags a set with the exercise picked before it runs", async () => {
+  const { app, document } = startSetApp();
+  await app.startRoutine();
+  assert.strictEqual(document.getElementById("exerciseSelect").value, "row");
+  assert.deepStrictEqual({ ...app.currentWorkout.exercise }, row);
+
+  app.completeWorkout();
+  assert.strictEqual(app.workoutHistory[0].exercise.name, "Row");
+});
+
+test("custom exercises can tag a set after it runs", async () => {
+  const { app, document } = startSetApp();
+  await app.startRoutine();
+  app.completeWorkout();
+
+  document.getElementById("newExerciseName").value = "Face pull";
+  app.addExercise();
+  const id = document.getElementById("exerciseSelect").value;
+  assert.match(id, /^custom:/);
+
+  await app.tagWorkoutExercise(0, id);
+  assert.deepStrictEqual(
+    { ...app.workoutHistory[0].exercise },
+    { id: id, name: "Face pull" },
+  );
+
+  // Still named in history after the exercise is deleted
+  app.deleteExercise();
+  assert.strictEqual(app.getExercise(id), null);
+  app.setHistoryGrouping("exercise");
+  assert.match(
+    document.getElementById("historyList").innerHTML,
+    /history-group-title">Face pull</,
+  );
+});
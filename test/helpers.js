@@ -0,0 +1,186 @@
+// helpers.js - Load the browser scripts into a Node vm context
+//
+// The app is plain <script> files sharing one global scope, so the tests run
+// them the same way: in index.html order, in one vm context, with just enough
+// of a DOM stub for app.js to construct. No browser or npm install needed:
+//
+//   node --test test/
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const ROOT = path.join(__dirname, "..");
+
+// Local scripts in the order index.html loads them
+function scriptOrder() {
+  const html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+  return [...html.matchAll(/<script src="([^"]+)"><\/script>/g)]
+    .map((match) => match[1])
+    .filter((src) => !src.startsWith("http"));
+}
+
+function createElement(id) {
+  const classes = new Set();
+  return {
+    id: id,
+    value: "",
+    checked: false,
+    disabled: false,
+    textContent: "",
+    innerHTML: "",
+    className: "",
+    style: {},
+    dataset: {},
+    options: [],
+    children: [],
+    classList: {
+      add: (name) => classes.add(name),
+      remove: (name) => classes.delete(name),
+      toggle: (name, force) =>
+        (force ?? !classes.has(name))
+          ? classes.add(name)
+          : classes.delete(name),
+      contains: (name) => classes.has(name),
+    },
+    appendChild(child) {
+      this.children.push(child);
+      return child;
+    },
+    removeChild(child) {
+      this.children.splice(this.children.indexOf(child), 1);
+    },
+    get firstChild() {
+      return this.children[0];
+    },
+    addEventListener() {},
+    removeEventListener() {},
+    setAttribute() {},
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    click() {},
+    remove() {},
+  };
+}
+
+// Elements are created on first lookup, so any id exists
+function createDocument() {
+  const elements = new Map();
+  return {
+    getElementById(id) {
+      if (!elements.has(id)) {
+        elements.set(id, createElement(id));
+      }
+      return elements.get(id);
+    },
+    createElement: () => createElement(null),
+    querySelectorAll: () => [],
+    addEventListener() {},
+    body: createElement("body"),
+  };
+}
+
+function createContext() {
+  const storage = new Map();
+  const localStorage = {
+    getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: (key) => storage.delete(key),
+  };
+  const context = {
+    console: { log() {}, info() {}, warn() {}, error() {} },
+    document: createDocument(),
+    window: { location: { search: "" }, localStorage, addEventListener() {} },
+    localStorage: localStorage,
+    navigator: {},
+    alert() {},
+    confirm: () => true,
+    uPlot: class {
+      setData() {}
+      setScale() {}
+      setSize() {}
+      redraw() {}
+    },
+    // Unref'd, so timers like the chart's refresh interval don't keep the
+    // test process alive
+    setTimeout: (...args) => setTimeout(...args).unref(),
+    clearTimeout,
+    setInterval: (...args) => setInterval(...args).unref(),
+    clearInterval,
+    EventTarget,
+    Event,
+    URLSearchParams,
+    TextDecoder,
+    TextEncoder,
+  };
+  return vm.createContext(context);
+}
+
+// Run scripts in one context and return an evaluator for its globals. Top-level
+// const and class declarations are not properties of the global object, so
+// read them by evaluating their name: load(["protocol.js"])("buildInitCommand")
+function load(files = scriptOrder()) {
+  const context = createContext();
+  for (const file of files) {
+    const source = fs.readFileSync(path.join(ROOT, file), "utf8");
+    vm.runInContext(source, context, { filename: file });
+  }
+  return (expression) => vm.runInContext(expression, context);
+}
+
+// Load every script up to and including `last`, in index.html order
+function loadThrough(last) {
+  const order = scriptOrder();
+  return load(order.slice(0, order.indexOf(last) + 1));
+}
+
+// An app whose device sends nothing: program and Echo frames go to `sent`
+// as ["program" | "echo", params], STOP as ["stop"], and polling is stubbed
+// out
+function loadApp() {
+  const run = load();
+  const app = run("app");
+  const sent = [];
+  app.device.startProgram = async (params) => sent.push(["program", params]);
+  app.device.startEcho = async (params) => sent.push(["echo", params]);
+  app.device.sendStopCommand = async () => sent.push(["stop"]);
+  app.device.stopPropertyPolling = () => {};
+  app.device.stopMonitorPolling = () => {};
+  app.device.getMonitorStats = () => null;
+  return { app, run, sent };
+}
+
+// A routine set as added from the Program form: Old School, 20 kg × 10
+const programSet = Object.freeze({
+  type: "program",
+  mode: "0",
+  modeName: "Old School",
+  weightKg: 20,
+  reps: 10,
+  progressionKg: 0,
+  warmupReps: 3,
+  justLift: false,
+  drops: null,
+});
+
+// A rep notification (0x0036): u16[0] counts tops, u16[2] completed reps
+function repFrame(top, complete) {
+  const data = new Uint8Array(6);
+  const view = new DataView(data.buffer);
+  view.setUint16(0, top, true);
+  view.setUint16(4, complete, true);
+  return data;
+}
+
+function toHex(bytes) {
+  return Buffer.from(bytes).toString("hex");
+}
+
+module.exports = {
+  load,
+  loadThrough,
+  loadApp,
+  programSet,
+  repFrame,
+  toHex,
+};
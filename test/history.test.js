@@ -0,0 +1,184 @@
+// history.test.js - Workout history kept in IndexedDB
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { load, loadThrough } = require("./helpers");
+
+// Just enough IndexedDB for WorkoutHistoryStore, kept in memory: object
+// stores with a keyPath (optionally autoIncrement), one-field indexes, and
+// transactions that complete once their last request has succeeded.
+// Requests succeed on a later tick, like the real thing.
+function createIndexedDB() {
+  const databases = new Map();
+
+  function createTransaction(db) {
+    let pending = 0;
+    const transaction = {
+      error: null,
+      oncomplete: null,
+      onerror: null,
+      onabort: null,
+      objectStore: (name) => createStoreHandle(db.stores.get(name), request),
+    };
+    function request(operation) {
+      const req = { result: undefined, error: null };
+      pending++;
+      setTimeout(() => {
+        try {
+          req.result = operation();
+          if (req.onsuccess) req.onsuccess();
+        } catch (error) {
+          req.error = transaction.error = error;
+          if (req.onerror) req.onerror();
+          if (transaction.onerror) transaction.onerror();
+        }
+        if (--pending === 0) {
+          setTimeout(() => transaction.oncomplete && transaction.oncomplete());
+        }
+      });
+      return req;
+    }
+    return transaction;
+  }
+
+  function createStoreHandle(store, request) {
+    const write = (value, overwrite) => () => {
+      const copy = structuredClone(value);
+      if (copy[store.keyPath] === undefined && store.autoIncrement) {
+        copy[store.keyPath] = ++store.lastKey;
+      }
+      const key = copy[store.keyPath];
+      if (!overwrite && store.records.has(key)) {
+        throw new Error(`Key ${key} already exists`);
+      }
+      store.records.set(key, copy);
+      return key;
+    };
+    return {
+      add: (value) => request(write(value, false)),
+      put: (value) => request(write(value, true)),
+      get: (key) => request(() => structuredClone(store.records.get(key))),
+      index: (name) => ({
+        getAll: () =>
+          request(() => {
+            const field = store.indexes.get(name);
+            return [...store.records.values()]
+              .map((value) => structuredClone(value))
+              .sort((a, b) => a[field] - b[field]);
+          }),
+      }),
+    };
+  }
+
+  return {
+    open(name) {
+      const req = {};
+      setTimeout(() => {
+        let db = databases.get(name);
+        const isNew = !db;
+        if (isNew) {
+          db = {
+            stores: new Map(),
+            createObjectStore(storeName, { keyPath, autoIncrement = false }) {
+              const store = {
+                keyPath: keyPath,
+                autoIncrement: autoIncrement,
+                lastKey: 0,
+                records: new Map(),
+                indexes: new Map(),
+              };
+              this.stores.set(storeName, store);
+              return {
+                createIndex: (indexName, field) =>
+                  store.indexes.set(indexName, field),
+              };
+            },
+            transaction: () => createTransaction(db),
+          };
+          databases.set(name, db);
+        }
+        req.result = db;
+        if (isNew && req.onupgradeneeded) req.onupgradeneeded();
+        req.onsuccess();
+      });
+      return req;
+    },
+  };
+}
+
+// Wait for the stub's queued requests (and the app's awaits on them)
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+function createStore(indexedDB) {
+  const run = loadThrough("history.js");
+  run("window").indexedDB = indexedDB;
+  return run("new WorkoutHistoryStore()");
+}
+
+test("lists saved sets newest first and keeps their samples apart", async () => {
+  const store = createStore(createIndexedDB());
+  const first = await store.add({ mode: "Old School", startTime: 1000 }, [
+    { posA: 1 },
+  ]);
+  const second = await store.add({ mode: "TUT", startTime: 2000 }, [
+    { posA: 2 },
+    { posA: 3 },
+  ]);
+
+  const listed = await store.list();
+  assert.deepStrictEqual(
+    [...listed].map((workout) => [workout.id, workout.mode]),
+    [
+      [second, "TUT"],
+      [first, "Old School"],
+    ],
+  );
+  assert.strictEqual(listed[0].samples, undefined);
+  assert.strictEqual((await store.getSamples(second)).length, 2);
+  assert.strictEqual((await store.getSamples(999)).length, 0);
+});
+
+test("update resolves once the change is stored", async () => {
+  const store = createStore(createIndexedDB());
+  const id = await store.add({ mode: "Old School", startTime: 1000 }, []);
+
+  await store.update({ id: id, mode: "Old School", startTime: 1000, x: 1 });
+  const [workout] = await store.list();
+  assert.strictEqual(workout.x, 1);
+});
+
+test("a reloaded app lists saved sets and draws them from their samples", async () => {
+  const indexedDB = createIndexedDB();
+  const run = load();
+  run("window").indexedDB = indexedDB;
+
+  const app = run("new VitruvianApp()");
+  await settle();
+  const startTime = new Date(1000);
+  const samples = [
+    { timestamp: new Date(1000), loadA: 10, loadB: 10, posA: 100, posB: 100 },
+    { timestamp: new Date(1100), loadA: 12, loadB: 11, posA: 200, posB: 210 },
+  ];
+  app.addToWorkoutHistory(
+    {
+      mode: "Old School",
+      weightKg: 20,
+      reps: 1,
+      timestamp: new Date(1100),
+      startTime: startTime,
+      endTime: new Date(1100),
+    },
+    samples,
+  );
+  await settle();
+  assert.strictEqual(typeof app.workoutHistory[0].id, "number");
+
+  // "Reload": a new app on the same database
+  const reloaded = run("new VitruvianApp()");
+  await settle();
+  assert.strictEqual(reloaded.workoutHistory.length, 1);
+  assert.strictEqual(reloaded.workoutHistory[0].mode, "Old School");
+
+  await reloaded.viewWorkoutOnGraph(0);
+  assert.strictEqual(reloaded.chartManager.viewedSamples.length, 2);
+});
@@ -0,0 +1,51 @@
+// led.test.js - LED sequence playback
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApp, loadThrough } = require("./helpers");
+
+// A device whose LED writes finish only when the test says so; every write
+// goes to `writes` as its brightness
+function createDevice() {
+  const device = { writes: [], finishWrite: null };
+  device.writeLedFrame = (brightness) => {
+    device.writes.push(brightness);
+    return new Promise((resolve) => (device.finishWrite = resolve));
+  };
+  return device;
+}
+
+test("a sequence ending during a slow write still shows its last frame", async () => {
+  const run = loadThrough("led.js");
+  const device = createDevice();
+  const animator = run("(device) => new LedAnimator(device)")(device);
+  animator.setBaseScheme(0.4, run("PredefinedColorSchemes.blue.colors"));
+
+  await animator.play({
+    name: "Flash",
+    steps: [{ brightness: 0.8, fadeMs: 200 }],
+  });
+  assert.deepStrictEqual(device.writes, [0.4]);
+
+  // The sequence is over while its first frame is still being written
+  clearTimeout(animator.timer);
+  animator.startedAt -= 1000;
+  animator.tick();
+  assert.strictEqual(animator.isPlaying, false);
+
+  device.finishWrite();
+  await new Promise((resolve) => setImmediate(resolve));
+  device.finishWrite();
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepStrictEqual(device.writes, [0.4, 0.8, 0.4]);
+});
+
+test("a phase with a plain color keeps the brightness the user set", () => {
+  const { app, run } = loadApp();
+  app.ledAnimator.setBaseScheme(0.7, run("PredefinedColorSchemes.blue.colors"));
+  app.ledPhaseSettings.phases.working = "#ff0000";
+
+  const scheme = app.getLedPhaseScheme("working");
+  assert.strictEqual(scheme.brightness, 0.7);
+  assert.deepStrictEqual({ ...scheme.colors[0] }, { r: 255, g: 0, b: 0 });
+});
@@ -0,0 +1,110 @@
+// monitor.test.js - Monitor frame (0x0039) parsing and position spike filter
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadThrough } = require("./helpers");
+
+// u16 words: ticks lo, ticks hi, posA, -, loadA * 100, posB, -, loadB * 100
+function monitorFrame({ ticks = 0, posA = 0, posB = 0, loadA = 0, loadB = 0 }) {
+  const data = new Uint8Array(16);
+  const view = new DataView(data.buffer);
+  view.setUint16(0, ticks & 0xffff, true);
+  view.setUint16(2, ticks >>> 16, true);
+  view.setUint16(4, posA, true);
+  view.setUint16(8, Math.round(loadA * 100), true);
+  view.setUint16(10, posB, true);
+  view.setUint16(14, Math.round(loadB * 100), true);
+  return data;
+}
+
+function createDevice() {
+  return loadThrough("firmware.js")("new VitruvianDevice()");
+}
+
+test("decodes ticks, positions and loads", () => {
+  const device = createDevice();
+  const sample = device.parseMonitorData(
+    monitorFrame({
+      ticks: 0x00012345,
+      posA: 1234,
+      posB: 2345,
+      loadA: 12.34,
+      loadB: 23.45,
+    }),
+  );
+
+  assert.strictEqual(sample.ticks, 0x00012345);
+  assert.strictEqual(sample.posA, 1234);
+  assert.strictEqual(sample.posB, 2345);
+  assert.strictEqual(sample.loadA, 12.34);
+  assert.strictEqual(sample.loadB, 23.45);
+});
+
+test("returns an empty sample for frames shorter than 16 bytes", () => {
+  const device = createDevice();
+  const data = new Uint8Array(12).fill(0x11);
+  const sample = device.parseMonitorData(data);
+
+  assert.strictEqual(sample.ticks, 0);
+  assert.strictEqual(sample.posA, 0);
+  assert.strictEqual(sample.loadA, 0);
+  assert.strictEqual(sample.raw, data);
+});
+
+test("replaces positions above 50000 with the last good value", () => {
+  const device = createDevice();
+  device.parseMonitorData(monitorFrame({ posA: 1000, posB: 2000 }));
+
+  const spike = device.parseMonitorData(
+    monitorFrame({ posA: 60000, posB: 2100 }),
+  );
+  assert.strictEqual(spike.posA, 1000);
+  assert.strictEqual(spike.posB, 2100);
+
+  const both = device.parseMonitorData(
+    monitorFrame({ posA: 65535, posB: 50001 }),
+  );
+  assert.strictEqual(both.posA, 1000);
+  assert.strictEqual(both.posB, 2100);
+
+  const recovered = device.parseMonitorData(
+    monitorFrame({ posA: 1100, posB: 2200 }),
+  );
+  assert.strictEqual(recovered.posA, 1100);
+  assert.strictEqual(recovered.posB, 2200);
+});
+
+test("keeps 50000 itself and falls back to 0 before any good value", () => {
+  const device = createDevice();
+  const first = device.parseMonitorData(
+    monitorFrame({ posA: 50001, posB: 50000 }),
+  );
+  assert.strictEqual(first.posA, 0);
+  assert.strictEqual(first.posB, 50000);
+});
+
+test("a read in flight across stop and start does not start a second loop", async () => {
+  const device = createDevice();
+  const reads = [];
+  device.monitorChar = {
+    readValue: () => new Promise((resolve) => reads.push(resolve)),
+  };
+  const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+  device.startMonitorPolling();
+  await tick();
+  assert.strictEqual(reads.length, 1);
+
+  device.stopMonitorPolling();
+  device.startMonitorPolling();
+  await tick();
+  const timer = device.monitorInterval;
+
+  // The first run's read lands after the restart
+  reads[0]({ buffer: monitorFrame({ posA: 100 }).buffer });
+  await tick();
+  assert.strictEqual(device.monitorInterval, timer);
+  assert.strictEqual(device.monitorStats.samples, 0);
+
+  device.stopMonitorPolling();
+});
@@ -0,0 +1,45 @@
+// property.test.js - Labeling property characteristic fields
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApp } = require("./helpers");
+
+// Fill in the field form and add it; returns the message alerted, if any
+function addField(run, app, name, offset, type = "u16") {
+  const document = run("document");
+  document.getElementById("propertyFieldName").value = name;
+  document.getElementById("propertyFieldOffset").value = offset;
+  document.getElementById("propertyFieldType").value = type;
+  let message = null;
+  run("globalThis").alert = (text) => (message = text);
+  app.addPropertyField();
+  return message;
+}
+
+test("adds fields at decimal or hex offsets", () => {
+  const { app, run } = loadApp();
+  app.propertyDecoder.setFields([]);
+
+  assert.strictEqual(addField(run, app, "speed", "4"), null);
+  assert.strictEqual(addField(run, app, "force", " 0x10 ", "f32"), null);
+  assert.deepStrictEqual(
+    [...app.propertyDecoder.fields].map((field) => [field.name, field.offset]),
+    [
+      ["speed", 4],
+      ["force", 16],
+    ],
+  );
+});
+
+test("rejects a missing or non-integer offset", () => {
+  const { app, run } = loadApp();
+  app.propertyDecoder.setFields([]);
+
+  assert.strictEqual(
+    addField(run, app, "speed", " "),
+    "Field offset is required",
+  );
+  assert.match(addField(run, app, "speed", "1.5"), /Invalid field offset/);
+  assert.match(addField(run, app, "speed", "abc"), /Invalid field offset/);
+  assert.strictEqual(app.propertyDecoder.fields.length, 0);
+});
@@ -0,0 +1,49 @@
+// protocol.test.js - Byte-for-byte checks of the frame builders
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadThrough, toHex } = require("./helpers");
+const golden = require("./fixtures/golden-frames.json");
+
+const run = loadThrough("protocol.js");
+
+test("golden frames say where their bytes came from", () => {
+  for (const frame of golden.frames) {
+    assert.match(frame.source, /^(capture|code@[0-9a-f]+)$/, frame.name);
+  }
+});
+
+test("golden frames cover every program mode and Echo level", () => {
+  const names = golden.frames.map((frame) => frame.name).join("\n");
+  for (const mode of Object.keys(run("ProgramMode"))) {
+    assert.match(names, new RegExp(`^program ${mode} `, "m"));
+  }
+  for (const level of Object.keys(run("EchoLevel"))) {
+    assert.match(names, new RegExp(`^echo ${level} `, "m"));
+  }
+  for (const scheme of Object.keys(run("PredefinedColorSchemes"))) {
+    assert.match(names, new RegExp(`^color ${scheme}$`, "m"));
+  }
+});
+
+// See the fixture's note for where each frame's bytes came from
+for (const frame of golden.frames) {
+  test(`${frame.builder}: ${frame.name} (${frame.source})`, () => {
+    const bytes = run(frame.builder)(...frame.args);
+    assert.strictEqual(toHex(bytes), frame.hex);
+  });
+}
+
+test("golden frames parse back as the frame type that built them", () => {
+  const frameTypes = {
+    buildInitCommand: "init",
+    buildInitPreset: "color",
+    buildProgramParams: "program",
+    buildEchoControl: "echo",
+    buildColorScheme: "color",
+  };
+  for (const frame of golden.frames) {
+    const parsed = run("parseFrame")(run("hexToBytes")(frame.hex));
+    assert.strictEqual(parsed.type, frameTypes[frame.builder], frame.name);
+  }
+});
@@ -0,0 +1,93 @@
+// reconnect.test.js - Reconnecting after the link drops, against the simulator
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadThrough } = require("./helpers");
+
+// The simulator's timers are unref'd (see helpers.js); hold the process open
+// while a test waits on them
+const keepAlive = setInterval(() => {}, 1000);
+test.after(() => clearInterval(keepAlive));
+
+// A connected simulated device with short reconnect delays (10, 20, 40 ms),
+// and its connection events in order in `events`
+async function connectDevice() {
+  const device = loadThrough("simulator.js")("new SimulatedVitruvianDevice()");
+  device.reconnectBaseDelay = 10;
+  device.reconnectMaxDelay = 40;
+  const events = [];
+  for (const name of [
+    "connectionlost",
+    "reconnecting",
+    "reconnect",
+    "reconnectfailed",
+  ]) {
+    device.on(name, (...args) => events.push([name, ...args]));
+  }
+  await device.connect();
+  return { device, events };
+}
+
+function waitFor(device, event) {
+  return new Promise((resolve) => device.once(event, resolve));
+}
+
+test("reconnects once the Trainer is back in range", async () => {
+  const { device, events } = await connectDevice();
+  const reconnected = waitFor(device, "reconnect");
+  // Back in range before the second attempt
+  device.on("reconnecting", (attempt) => {
+    if (attempt === 2) device.device.gatt.unavailableUntil = 0;
+  });
+
+  device.simulateConnectionDrop(10000);
+  assert.strictEqual(device.isConnected, false);
+  await reconnected;
+
+  assert.deepStrictEqual(events, [
+    ["connectionlost"],
+    ["reconnecting", 1, 5],
+    ["reconnecting", 2, 5],
+    ["reconnect"],
+  ]);
+  assert.strictEqual(device.isConnected, true);
+  assert.strictEqual(device.isReconnecting, false);
+  await device.disconnect();
+});
+
+test("backs off up to the maximum delay, then gives up", async () => {
+  const { device, events } = await connectDevice();
+  const delays = [];
+  const sleep = device.sleep.bind(device);
+  device.sleep = (ms) => {
+    delays.push(ms);
+    return sleep(ms);
+  };
+  const failed = waitFor(device, "reconnectfailed");
+
+  device.simulateConnectionDrop(10000);
+  await failed;
+
+  assert.deepStrictEqual(delays, [10, 20, 40, 40, 40]);
+  assert.deepStrictEqual(events.at(-1), ["reconnectfailed"]);
+  assert.strictEqual(device.isConnected, false);
+  assert.strictEqual(device.isReconnecting, false);
+});
+
+test("stops reconnecting when the user disconnects", async () => {
+  const { device, events } = await connectDevice();
+
+  device.simulateConnectionDrop(10000);
+  await device.disconnect();
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  assert.deepStrictEqual(events, [["connectionlost"], ["reconnecting", 1, 5]]);
+  assert.strictEqual(device.isReconnecting, false);
+});
+
+test("a manual disconnect does not reconnect", async () => {
+  const { device, events } = await connectDevice();
+
+  await device.disconnect();
+  assert.deepStrictEqual(events, []);
+});
@@ -0,0 +1,101 @@
+// reps.test.js - Rep counting from rep notifications (0x0036)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { load, repFrame } = require("./helpers");
+
+// An app in the middle of an open-ended set (no target, so it never completes)
+function startSet({ warmupTarget = 3 } = {}) {
+  const app = load()("app");
+  app.currentWorkout = {
+    mode: "Test",
+    weightKg: 20,
+    targetReps: 0,
+    startTime: new Date(),
+    warmupEndTime: null,
+    weightChanges: [],
+    repEvents: [],
+  };
+  app.warmupTarget = warmupTarget;
+  app.targetReps = 0;
+  app.currentSample = { posA: 500, posB: 520 };
+  return app;
+}
+
+test("the first notification only primes the counters", () => {
+  const app = startSet();
+  app.handleRepNotification(repFrame(7, 7));
+
+  assert.strictEqual(app.warmupReps, 0);
+  assert.strictEqual(app.workingReps, 0);
+  assert.strictEqual(app.lastRepCounter, 7);
+  assert.strictEqual(app.lastTopCounter, 7);
+});
+
+test("counts one rep per completed-counter increment", () => {
+  const app = startSet({ warmupTarget: 1 });
+  app.handleRepNotification(repFrame(0, 0));
+  app.handleRepNotification(repFrame(1, 1));
+  app.handleRepNotification(repFrame(1, 1)); // Unchanged: no rep
+  app.handleRepNotification(repFrame(2, 2));
+
+  assert.strictEqual(app.warmupReps, 1);
+  assert.strictEqual(app.workingReps, 1);
+});
+
+test("the completed counter wraps from 0xffff to 0", () => {
+  const app = startSet({ warmupTarget: 0 });
+  app.handleRepNotification(repFrame(0xfffe, 0xfffe));
+  app.handleRepNotification(repFrame(0xffff, 0xffff));
+  app.handleRepNotification(repFrame(0x0000, 0x0000));
+  app.handleRepNotification(repFrame(0x0001, 0x0001));
+
+  assert.strictEqual(app.workingReps, 3);
+  assert.strictEqual(app.lastRepCounter, 0x0001);
+});
+
+test("the top counter wraps from 0xffff to 0", () => {
+  const app = startSet();
+  app.handleRepNotification(repFrame(0xffff, 10));
+  app.handleRepNotification(repFrame(0x0000, 10));
+
+  assert.strictEqual(app.lastTopCounter, 0);
+  assert.strictEqual(app.topPositionsA.length, 1);
+  assert.strictEqual(app.warmupReps, 0); // A top alone is not a rep
+});
+
+test("records tops and reps for the saved history", () => {
+  const app = startSet({ warmupTarget: 1 });
+  app.handleRepNotification(repFrame(0, 0));
+  app.handleRepNotification(repFrame(1, 1));
+  app.handleRepNotification(repFrame(2, 2));
+
+  const events = app.currentWorkout.repEvents;
+  assert.deepStrictEqual(
+    events.map((event) => event.type),
+    ["top", "warmup", "top", "working"],
+  );
+  assert.strictEqual(events[3].workingReps, 1);
+  assert.strictEqual(events[3].posA, 500);
+});
+
+test("custom mode names are escaped in the history list", () => {
+  const run = load();
+  const app = run("app");
+  app.workoutHistory = [{ mode: "<b>Mine</b>", weightKg: 20, reps: 5 }];
+  app.updateHistoryDisplay();
+
+  const html = run("document").getElementById("historyList").innerHTML;
+  assert.match(html, /&lt;b&gt;Mine&lt;\/b&gt;/);
+  assert.doesNotMatch(html, /<b>Mine/);
+});
+
+test("ignores notifications outside a set", () => {
+  const app = startSet();
+  app.currentWorkout = null;
+  app.handleRepNotification(repFrame(1, 1));
+  app.handleRepNotification(repFrame(2, 2));
+
+  assert.strictEqual(app.warmupReps, 0);
+  assert.strictEqual(app.lastRepCounter, undefined);
+});
@@ -0,0 +1,76 @@
+// rest.test.js - Rest timer between sets
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApp, programSet } = require("./helpers");
+
+// A connected app running a two-set routine, with frames going to `sent`
+// and monitor polling starts and stops to `polling`
+async function startRoutineApp(action) {
+  const { app, sent } = loadApp();
+  const polling = [];
+  app.device.isConnected = true;
+  app.device.startMonitorPolling = () => polling.push("start");
+  app.device.stopMonitorPolling = () => polling.push("stop");
+  app.restSettings = { seconds: 60, action: action };
+  app.routineSets = [programSet, { ...programSet, weightKg: 25 }];
+  await app.startRoutine();
+  return { app, sent, polling };
+}
+
+test("rests after a set and records it with the next set", async () => {
+  const { app } = await startRoutineApp("none");
+  assert.strictEqual(app.currentWorkout.rest, null);
+
+  app.completeWorkout();
+  assert.ok(app.restTimer.isRunning);
+  assert.strictEqual(app.restTimer.getRemainingMs() > 59000, true);
+
+  await app.startRoutineSet();
+  assert.strictEqual(app.restTimer.isRunning, false);
+  assert.deepStrictEqual(
+    { ...app.currentWorkout.rest },
+    { plannedSec: 60, actualSec: 0 },
+  );
+
+  // No rest after the routine's last set
+  app.completeWorkout();
+  assert.strictEqual(app.restTimer.isRunning, false);
+  assert.strictEqual(app.workoutHistory[0].rest.plannedSec, 60);
+});
+
+test("starts the next set when rest ends", async () => {
+  const { app, sent } = await startRoutineApp("auto");
+  app.completeWorkout();
+
+  app.endRest();
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.strictEqual(sent.length, 2);
+  assert.strictEqual(sent[1][1].perCableKg, 25);
+  assert.deepStrictEqual(
+    { ...app.currentWorkout.rest },
+    { plannedSec: 60, actualSec: 0 },
+  );
+});
+
+test("armed sets start on cable movement", async () => {
+  const { app, sent, polling } = await startRoutineApp("movement");
+  app.completeWorkout();
+  polling.length = 0;
+
+  app.endRest();
+  assert.strictEqual(app.restArmed, true);
+  assert.deepStrictEqual(polling, ["start"]);
+
+  app.checkArmedMovement({ posA: 100, posB: 100 });
+  app.checkArmedMovement({ posA: 150, posB: 120 }); // Settling, not a pull
+  assert.strictEqual(app.currentWorkout, null);
+
+  app.checkArmedMovement({ posA: 260, posB: 110 });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.strictEqual(app.restArmed, false);
+  assert.strictEqual(sent[1][1].perCableKg, 25);
+
+  // Stopped before the set, so its sampling stats leave out the rest
+  assert.deepStrictEqual(polling, ["start", "stop"]);
+});
@@ -0,0 +1,141 @@
+// routines.test.js - Routine validation and running sets in order
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApp, loadThrough, programSet } = require("./helpers");
+
+const echoSet = {
+  type: "echo",
+  level: "2",
+  levelName: "Harder",
+  eccentricPct: 100,
+  targetReps: 8,
+  warmupReps: 3,
+  justLift: false,
+};
+
+test("validateRoutine accepts Program and Echo sets", () => {
+  const validateRoutine = loadThrough("routines.js")("validateRoutine");
+  validateRoutine({ sets: [programSet, echoSet] });
+  validateRoutine({ sets: [{ ...programSet, justLift: true, reps: 0 }] });
+});
+
+test("validateRoutine rejects empty routines and bad sets", () => {
+  const validateRoutine = loadThrough("routines.js")("validateRoutine");
+
+  assert.throws(() => validateRoutine({ sets: [] }), /at least one set/);
+  assert.throws(
+    () => validateRoutine({ sets: [programSet, { ...echoSet, type: "x" }] }),
+    /sets\[1\]\.type/,
+  );
+  assert.throws(
+    () => validateRoutine({ sets: [{ ...programSet, weightKg: 120 }] }),
+    (error) =>
+      error.code === "OUT_OF_RANGE" && error.field === "sets[0].weightKg",
+  );
+  assert.throws(
+    () =>
+      validateRoutine({
+        sets: [programSet, echoSet],
+        circuit: { rounds: 1, transitionSec: 15 },
+      }),
+    /circuit\.rounds/,
+  );
+});
+
+// An app with a routine ready to start, frames going to `sent`
+function startRoutineApp(sets) {
+  const { app, run, sent } = loadApp();
+  app.routineSets = sets;
+  const document = run("document");
+  document.getElementById("routineName").value = "Push day";
+  return { app, sent, document };
+}
+
+test("runs the sets in order, loading each into its form", async () => {
+  const { app, sent } = startRoutineApp([
+    programSet,
+    { ...programSet, weightKg: 25, reps: 8 },
+    echoSet,
+  ]);
+
+  await app.startRoutine();
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0][1].perCableKg, 20);
+  assert.deepStrictEqual(
+    { ...app.currentWorkout.routine },
+    { name: "Push day", setNumber: 1, setCount: 3 },
+  );
+
+  app.completeWorkout();
+  assert.strictEqual(app.activeRoutine.index, 1);
+  await app.startRoutineSet();
+  assert.strictEqual(sent[1][1].perCableKg, 25);
+  assert.strictEqual(sent[1][1].reps, 8);
+
+  app.completeWorkout();
+  await app.startRoutineSet();
+  assert.strictEqual(sent[2][0], "echo");
+  assert.strictEqual(sent[2][1].level, 1);
+
+  app.completeWorkout();
+  assert.strictEqual(app.activeRoutine, null);
+  assert.deepStrictEqual(
+    [...app.workoutHistory].map((workout) => workout.routine.setNumber),
+    [3, 2, 1],
+  );
+});
+
+test("runs a circuit round by round, resting only after each round", async () => {
+  const { app, sent, document } = startRoutineApp([programSet, echoSet]);
+  document.getElementById("routineRounds").value = "2";
+  document.getElementById("routineTransition").value = "10";
+  app.restSettings = { seconds: 60, action: "none" };
+
+  await app.startRoutine();
+  app.completeWorkout();
+  assert.strictEqual(app.restTimer.durationMs, 10000); // Transition
+  await app.startRoutineSet();
+  assert.strictEqual(sent[1][0], "echo");
+
+  app.completeWorkout();
+  assert.strictEqual(app.restTimer.durationMs, 60000); // Round 1 done
+  assert.deepStrictEqual(
+    { ...app.getRoutineStep() },
+    {
+      name: "Push day",
+      setNumber: 1,
+      setCount: 2,
+      round: 2,
+      roundCount: 2,
+      runId: app.activeRoutine.startedAt,
+    },
+  );
+
+  await app.startRoutineSet();
+  app.completeWorkout();
+  await app.startRoutineSet();
+  app.completeWorkout();
+  assert.strictEqual(app.activeRoutine, null);
+  assert.strictEqual(sent.length, 4);
+
+  // One history block per round
+  const html = document.getElementById("historyList").innerHTML;
+  assert.strictEqual(html.match(/class="history-group"/g).length, 2);
+  assert.match(html, /Push day • round 2\/2/);
+});
+
+test("a circuit with no transition moves straight to the next exercise", async () => {
+  const { app, sent, document } = startRoutineApp([programSet, echoSet]);
+  document.getElementById("routineRounds").value = "2";
+  document.getElementById("routineTransition").value = "0";
+  app.device.isConnected = true;
+  app.restSettings = { seconds: 60, action: "auto" };
+
+  await app.startRoutine();
+  app.completeWorkout();
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.strictEqual(sent.length, 2);
+  assert.strictEqual(sent[1][0], "echo");
+  assert.strictEqual(app.currentWorkout.rest.plannedSec, 0);
+});